@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * analytics.js
+ * - Post-game numbers from a run's click log (main.js game.events / records.js run.events).
+ * - Times are active play time: pauses and penalties are already out of event.t.
+ * - Only computes; the results panel and the board heatmap are main.js's job.
+ * - Exposes window.JC.analyzeRun(events) ->
+ *   { splits, slowest, misses, searchMs, penaltyMs, totalMs }
+ *   splits  = [{ from, num, ms }] per correct click, in click order (from = previous target, 0 at the start)
+ *   slowest = the SLOWEST_COUNT longest splits, slowest first
+ *   misses  = [{ num, target, x?, y?, penaltySec }] (target = the number being looked for,
+ *             0 when the run ended on that miss)
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+
+  const SLOWEST_COUNT = 3;
+
+  function analyzeRun(events) {
+    const splits = [];
+    const misses = [];
+    let prevT = 0, prevNum = 0, penaltyMs = 0;
+    const pendingMisses = []; // target is only known at the next hit
+
+    for (const ev of events || []) {
+      if (ev.type === "miss") {
+        const miss = { num: ev.num, target: 0, penaltySec: ev.penaltySec || 0 };
+        if (ev.x != null && ev.y != null) { miss.x = ev.x; miss.y = ev.y; }
+        misses.push(miss);
+        pendingMisses.push(miss);
+        penaltyMs += miss.penaltySec * 1000;
+      } else if (ev.type === "hit") {
+        splits.push({ from: prevNum, num: ev.num, ms: Math.max(0, ev.t - prevT) });
+        for (const miss of pendingMisses) miss.target = ev.num;
+        pendingMisses.length = 0;
+        prevT = ev.t;
+        prevNum = ev.num;
+      }
+    }
+
+    const slowest = splits
+      .slice()
+      .sort((a, b) => b.ms - a.ms)
+      .slice(0, SLOWEST_COUNT);
+
+    return { splits, slowest, misses, searchMs: prevT, penaltyMs, totalMs: prevT + penaltyMs };
+  }
+
+  JC.analyzeRun = analyzeRun;
+})(window);
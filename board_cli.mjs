@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * board_cli.mjs
+ * - Headless board generation: prints one board as JSON (default) or SVG.
+ * - Needs d3-delaunay resolvable from here (e.g. `npm install --no-save d3-delaunay`).
+ *
+ * Usage:
+ *   node board_cli.mjs --seed abc --n 50 [--shape circle|poly:x,y;x,y;...] [--format json|svg] [--size 1000]
+ *                      [--min-fairness 0.8 [--fix reject|repair]] [--motifs spiral,hex] [--layout island]
+ *                      [--profile clustered | --profile custom --tune microFrac=0.9,relaxIters=1]
+ */
+import { parseArgs } from "node:util";
+import { createRequire } from "node:module";
+import { Delaunay } from "d3-delaunay";
+
+const require = createRequire(import.meta.url);
+const {
+  buildBoard, BOARD_SHAPES, BOARD_LAYOUTS, MOTIFS, TUNING_PROFILES, TUNING_LIMITS, tuningCode, setDelaunay,
+  parseShapePoints,
+} = require("./board_gen.js");
+
+// same default as main.js (BOARD_SIZE); Lloyd passes come from the profile like in the game
+const DEFAULT_SIZE = 1000;
+// the game's piece range (main.js MIN/MAX_PIECE_COUNT): fewer pieces don't cover the outline
+const MIN_PIECE_COUNT = 5;
+const MAX_PIECE_COUNT = 300;
+
+function fail(msg) {
+  process.stderr.write(`board_cli: ${msg}\n`);
+  process.exit(1);
+}
+
+function readOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      seed: { type: "string" },
+      n: { type: "string", default: "20" },
+      shape: { type: "string", default: "square" },
+      format: { type: "string", default: "json" },
+      size: { type: "string", default: String(DEFAULT_SIZE) },
+      "min-fairness": { type: "string", default: "0" },
+      fix: { type: "string", default: "reject" },
+      motifs: { type: "string" },
+      layout: { type: "string", default: "strips3" },
+      profile: { type: "string", default: "uniform" },
+      tune: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(
+      "Usage: node board_cli.mjs --seed <seed> [--n 20 (5..300)] [--shape square] [--format json|svg] [--size 1000]\n" +
+      "                          [--min-fairness 0..1] [--fix reject|repair] [--motifs id,id|none]\n" +
+      "                          [--layout strips3] [--profile uniform] [--tune field=value,...]\n" +
+      `motifs: ${MOTIFS.join(", ")}\n` +
+      `layouts: ${BOARD_LAYOUTS.join(", ")}\n` +
+      `profiles: ${TUNING_PROFILES.join(", ")}\n` +
+      `tune fields (custom profile): ${Object.keys(TUNING_LIMITS).join(", ")}\n`
+    );
+    process.exit(0);
+  }
+  if (!values.seed || !values.seed.trim()) fail("--seed is required (boards are only reproducible with a seed)");
+
+  const pieceCount = Number(values.n);
+  if (!Number.isInteger(pieceCount) || pieceCount < MIN_PIECE_COUNT || pieceCount > MAX_PIECE_COUNT) {
+    fail(`--n must be a whole number from ${MIN_PIECE_COUNT} to ${MAX_PIECE_COUNT}, got "${values.n}"`);
+  }
+
+  const size = Number(values.size);
+  if (!(size > 0)) fail(`--size must be a positive number, got "${values.size}"`);
+
+  if (!BOARD_SHAPES.includes(values.shape) && !parseShapePoints(values.shape)) {
+    fail(`--shape must be one of ${BOARD_SHAPES.join(", ")} or poly:x,y;x,y;... (3+ corners)`);
+  }
+  if (!BOARD_LAYOUTS.includes(values.layout)) fail(`--layout must be one of ${BOARD_LAYOUTS.join(", ")}`);
+  if (values.format !== "json" && values.format !== "svg") fail("--format must be json or svg");
+
+  const minFairness = Number(values["min-fairness"]);
+  if (!(minFairness >= 0 && minFairness <= 1)) fail(`--min-fairness must be between 0 and 1, got "${values["min-fairness"]}"`);
+  if (values.fix !== "reject" && values.fix !== "repair") fail("--fix must be reject or repair");
+
+  if (!TUNING_PROFILES.includes(values.profile)) fail(`--profile must be one of ${TUNING_PROFILES.join(", ")}`);
+  if (values.tune != null && values.profile !== "custom") fail("--tune needs --profile custom");
+  // field=value pairs, out-of-range values are clamped by board_gen
+  let tuning = null;
+  if (values.profile === "custom") {
+    tuning = {};
+    for (const pair of (values.tune || "").split(",").filter((p) => p.trim())) {
+      const [field, value] = pair.split("=").map((t) => t.trim());
+      if (!TUNING_LIMITS[field]) fail(`--tune: unknown field "${field}" (known: ${Object.keys(TUNING_LIMITS).join(", ")})`);
+      if (!Number.isFinite(Number(value)) || value === "") fail(`--tune: ${field} needs a number, got "${value}"`);
+      tuning[field] = Number(value);
+    }
+  }
+
+  // unset = the classic plan, "none" = no motifs
+  let motifs = null;
+  if (values.motifs != null) {
+    motifs = values.motifs === "none" ? [] : values.motifs.split(",").map((id) => id.trim()).filter(Boolean);
+    const unknown = motifs.filter((id) => !MOTIFS.includes(id));
+    if (unknown.length) fail(`--motifs: unknown ${unknown.join(", ")} (known: ${MOTIFS.join(", ")})`);
+  }
+
+  return {
+    seed: values.seed.trim(),
+    pieceCount,
+    shape: values.shape,
+    layout: values.layout,
+    profile: values.profile,
+    tuning,
+    format: values.format,
+    size,
+    minFairness,
+    qualityFix: values.fix,
+    motifs,
+  };
+}
+
+function r2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function polyPath(poly) {
+  return `M ${poly.map((p) => `${r2(p[0])} ${r2(p[1])}`).join(" L ")} Z`;
+}
+
+// Straight-edged preview (the game adds curved shared edges on top of this)
+function boardToSvg(board) {
+  const { cells, outline } = board;
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${r2(outline.width)} ${r2(outline.height)}">`,
+    `  <path d="${polyPath(outline.poly)}" fill="#fffdf3" stroke="#2c7dff" stroke-width="3"/>`,
+  ];
+  for (const cell of cells) {
+    lines.push(`  <path d="${polyPath(cell.poly)}" fill="rgba(253,240,119,0.4)" stroke="#7e917f" stroke-width="1.2"/>`);
+  }
+  for (const cell of cells) {
+    lines.push(
+      `  <text x="${r2(cell.label.x)}" y="${r2(cell.label.y)}" font-size="${cell.label.fontSize}" ` +
+      `text-anchor="middle" dominant-baseline="middle" font-family="sans-serif">${cell.num}</text>`
+    );
+  }
+  lines.push("</svg>");
+  return lines.join("\n") + "\n";
+}
+
+function main() {
+  const opts = readOptions(process.argv.slice(2));
+  setDelaunay(Delaunay);
+
+  const board = buildBoard(
+    {
+      seedStr: opts.seed,
+      pieceCount: opts.pieceCount,
+      shape: opts.shape,
+      layout: opts.layout,
+      profile: opts.profile,
+      tuning: opts.tuning,
+      minFairness: opts.minFairness,
+      qualityFix: opts.qualityFix,
+      ...(opts.motifs ? { motifs: opts.motifs } : {}),
+    },
+    opts.size
+  );
+
+  if (opts.format === "svg") {
+    process.stdout.write(boardToSvg(board));
+    return;
+  }
+
+  const out = {
+    seed: opts.seed,
+    pieceCount: opts.pieceCount,
+    shape: opts.shape,
+    layout: opts.layout,
+    gen: tuningCode(opts.profile, opts.tuning), // "" = uniform
+    size: opts.size,
+    metrics: board.metrics,
+    quality: board.quality,
+    outline: board.outline,
+    cells: board.cells
+      .slice()
+      .sort((a, b) => a.num - b.num)
+      .map((c) => ({ num: c.num, centroid: c.centroid, label: c.label, poly: c.poly })),
+  };
+  process.stdout.write(JSON.stringify(out) + "\n");
+}
+
+main();
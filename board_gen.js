@@ -6,35 +6,95 @@
  * Key changes (per your spec):
  *  - Introduce STRUCT sites as rule-based motifs (no jitter).
  *  - STRUCT count is EXACTLY the sum of motif point counts.
+ *  - Motifs come from a registry (registerMotif); the classic plan uses ngon, ngonCenter and grid.
  *  - Motif plan (global, max 4 motifs; here 1/2/3 motifs):
- *      * P=20: pick one motif type in {1,2,3}, place ONE motif in the largest macro region.
- *      * P=50: TWO motifs: motif3 + (motif1 or motif2), placed in the two largest macro regions.
- *      * P=100: pick one type in {1,2,3} globally, place THREE motifs (same type), one per macro region.
- *  - STRUCT total <= floor(0.4*P) enforced by budgeted parameter sampling (no endless retries).
+ *      * P=20: pick one classic motif, place ONE motif in the largest macro region.
+ *      * P=50: TWO motifs: grid + (ngon or ngonCenter), placed in the two largest macro regions.
+ *      * P=100: ngon, ngonCenter and grid once each (shuffled), one per macro region.
+ *      * Other P (custom counts): <=30 like 20, <=70 like 50, else three of one classic motif;
+ *        motifs that cannot fit the STRUCT budget or their target region are dropped (tiny boards may have none).
+ *      * config.motifs (list of registered ids): 1/2/3 motifs by the same size bands, each drawn
+ *        from that list, then trimmed like custom counts. [] = no motifs.
+ *  - STRUCT total <= floor(0.4*P) enforced by budgeted parameter sampling (no endless retries);
+ *    0.4 is the uniform profile's structFrac (see Tuning profiles).
  *  - Macro/Micro points are pushed out of motif "avoid zones" (no rejection).
  *  - King bubble avoids moving STRUCT and never selects king from STRUCT.
  *  - FINALIZE order: Lloyd relax (STRUCT anchored) -> enforceMinDistance (STRUCT anchored).
+ *  - Board outline (config.shape): square (default), wide/tall rectangles, circle, hexagon,
+ *    or a custom point list (reduced to its convex hull, since clipping is by half-planes),
+ *    given as an array of [x, y] or as its text form "poly:x,y;x,y;..." (shapeCode).
+ *    Everything downstream only sees the outline's half-planes, so regions, motifs and
+ *    cells follow it automatically.
+ *  - Macro layout (config.layout): how the outline is cut into convex regions before pieces are
+ *    allocated by area. strips3 (default: three near-parallel strips), strips2/4/5, quadrants
+ *    (two crossing lines), wedges (5 radial wedges) or island (a central square + 4 ring pieces).
+ *    Motifs go to the largest regions; Lloyd and min-distance run inside each region.
+ *  - Tuning profile (config.profile): uniform (default, the classic generator), clustered,
+ *    chaotic, or custom with config.tuning = { microFrac, alpha, minDistFactor, kingStrength,
+ *    structFrac, relaxIters }, each clamped to TUNING_LIMITS. relaxIters defaults to the profile's.
+ *    Breaking change: without config.relaxIters, buildBoard used to run 1 Lloyd pass; it now
+ *    runs the profile's (3 for uniform, what the game has always passed), so such boards differ.
+ *    Pass relaxIters: 1 to rebuild them.
  *
  * Requires:
  *  1) d3-delaunay loaded (global d3.Delaunay)
  *  2) rng.js loaded (window.JC.makeRng / shuffleInPlace)
  *
  * Exposes:
- *  window.JC.buildBoard(config, size) -> { cells }
+ *  window.JC.buildBoard(config, size) -> { cells, outline, countFix, metrics, quality }
+ *    cells[i] = { num, poly, centroid, label: { x, y, r, fontSize } }
+ *      label = center / radius of the largest inscribed circle (pole of inaccessibility) and
+ *              a font size whose text fits in that circle, capped by the board-wide size;
+ *              the text is config.labelFor(num, seedStr) when given (symbol sets), else the number
+ *    countFix = cells produced minus N before the truncate/pad safety net (0 = healthy board)
+ *    metrics  = per-board quality numbers + a 0..1 fairness score (see computeBoardMetrics)
+ *    quality  = { attempts, seedStr, relaxIters, passed } of the optional quality gate:
+ *               config.minFairness (0..1) with config.qualityFix "reject" (derived reseeds)
+ *               or "repair" (extra Lloyd passes, up to TUNING_LIMITS); both deterministic,
+ *               best attempt wins. seedStr + relaxIters rebuild the accepted board.
+ *  window.JC.BOARD_SHAPES (names accepted by config.shape), JC.shapeCode(points) -> "poly:..." text
+ *    of a custom outline ("" if it has no area) and JC.parseShapePoints(code) -> points or null
+ *  window.JC.BOARD_LAYOUTS (names accepted by config.layout)
+ *  window.JC.TUNING_PROFILES (names accepted by config.profile), JC.TUNING_LIMITS ({ min, max, step }
+ *    per tuning field), JC.resolveTuning(profile, tuning) -> full validated parameters,
+ *    JC.tuningCode(profile, tuning) -> "" | "clustered" | "custom:0.9,4,..." (for links / records)
+ *    and JC.parseTuningCode(code) -> { profile, tuning }
+ *  window.JC.MOTIFS (registered motif ids, for config.motifs), JC.registerMotif(id, def) and
+ *    JC.unregisterMotif(id)
+ *    def = { minPoints, chooseParam(maxPoints, rand), extent(param, avg), points(param, extent, phi, avg) }
+ *  window.JC.fitLabelFont(label, text, maxFont) -> font size for new text in a placed label
+ *
+ * Node (CommonJS, or `import` from ESM): require("./board_gen.js") returns
+ *  { buildBoard, BOARD_SHAPES, BOARD_LAYOUTS, MOTIFS, registerMotif, unregisterMotif, setDelaunay, fitLabelFont,
+ *    TUNING_PROFILES, TUNING_LIMITS, resolveTuning, tuningCode, parseTuningCode, shapeCode,
+ *    parseShapePoints };
+ *  rng.js is required from the same folder and d3-delaunay must be injected with
+ *  setDelaunay(Delaunay) before the first buildBoard.
  */
 
 (function (global) {
-  const JC = (global.JC = global.JC || {});
-  const makeRng = JC.makeRng;
-  const shuffleInPlace = JC.shuffleInPlace;
+  const isCommonJS = typeof module === "object" && !!module && !!module.exports;
+  const JC = isCommonJS ? {} : (global.JC = global.JC || {});
+  const rng = isCommonJS ? require("./rng.js") : JC;
+  const makeRng = rng.makeRng;
+  const shuffleInPlace = rng.shuffleInPlace;
 
   if (typeof makeRng !== "function" || typeof shuffleInPlace !== "function") {
     throw new Error("board_gen.js: missing rng.js (window.JC.makeRng / shuffleInPlace).");
   }
-  if (!global.d3 || !global.d3.Delaunay) {
+
+  let Delaunay = global.d3 ? global.d3.Delaunay : null;
+  if (!Delaunay && !isCommonJS) {
     throw new Error("board_gen.js: missing d3-delaunay (global d3.Delaunay).");
   }
 
+  function setDelaunay(D) {
+    if (!D || typeof D.from !== "function") {
+      throw new Error("board_gen.js: setDelaunay expects d3-delaunay's Delaunay class.");
+    }
+    Delaunay = D;
+  }
+
   // -------------------------
   // basic utils
   // -------------------------
@@ -174,43 +234,46 @@
   // -------------------------
   // Random parallel lines with hard minimum widths (NO retry)
   // -------------------------
-  function generateParallelLines(size, rand) {
+  function generateParallelLines(outline, rand, count = 3) {
     const DEG = Math.PI / 180;
     const thetaMax = 18 * DEG;
 
-    const theta = Math.PI / 2 + (rand() * 2 - 1) * thetaMax;
+    // strips run across the long side (wide boards get near-vertical lines)
+    const base = outline.width > outline.height ? 0 : Math.PI / 2;
+    const theta = base + (rand() * 2 - 1) * thetaMax;
     const nx = Math.cos(theta);
     const ny = Math.sin(theta);
 
-    const corners = [
-      [0, 0],
-      [size, 0],
-      [size, size],
-      [0, size],
-    ];
     let minT = Infinity, maxT = -Infinity;
-    for (const [x, y] of corners) {
+    for (const [x, y] of outline.poly) {
       const t = nx * x + ny * y;
       if (t < minT) minT = t;
       if (t > maxT) maxT = t;
     }
     const L = maxT - minT;
 
-    const minFrac = 0.18;
+    const minFrac = 0.18; // count <= 5 keeps room for the random part
     const minW = minFrac * L;
-    const rem = L - 3 * minW;
+    const rem = L - count * minW;
 
     const eps = 1e-6;
-    const r0 = rand() + eps, r1 = rand() + eps, r2 = rand() + eps;
-    const rs = r0 + r1 + r2;
-
-    const w0 = minW + (rem * r0) / rs;
-    const w1 = minW + (rem * r1) / rs;
+    const rs = [];
+    let sum = 0;
+    for (let i = 0; i < count; i++) {
+      const r = rand() + eps;
+      rs.push(r);
+      sum += r;
+    }
 
-    const t1 = minT + w0;
-    const t2 = minT + w0 + w1;
+    // cut positions between strips (count - 1 of them)
+    const cuts = [];
+    let t = minT;
+    for (let i = 0; i < count - 1; i++) {
+      t += minW + (rem * rs[i]) / sum;
+      cuts.push(t);
+    }
 
-    return { nx, ny, t1, t2 };
+    return { nx, ny, cuts };
   }
 
   function makeSquarePlanes(size) {
@@ -222,31 +285,261 @@
     ];
   }
 
-  function makeRegionPlanes(size, lines) {
-    const sq = makeSquarePlanes(size);
-    const { nx, ny, t1, t2 } = lines;
+  // -------------------------
+  // Board outlines (convex): { size, width, height, poly, planes }
+  // -------------------------
+  const BOARD_SHAPES = ["square", "wide", "tall", "circle", "hexagon"];
+  const CIRCLE_SIDES = 64;
+  const MAX_SHAPE_POINTS = 32; // keeps "poly:..." short enough for links
 
-    const left = sq.concat([{ a: nx, b: ny, c: t1 }]);
-    const mid = sq.concat([
-      { a: -nx, b: -ny, c: -t1 },
-      { a: nx, b: ny, c: t2 },
-    ]);
-    const right = sq.concat([{ a: -nx, b: -ny, c: -t2 }]);
+  function rectPoly(w, h) {
+    return [
+      [0, 0],
+      [w, 0],
+      [w, h],
+      [0, h],
+    ];
+  }
 
-    return { left, mid, right };
+  // Half-planes of a convex polygon's edges, oriented so the interior is inside
+  function makePolyPlanes(poly) {
+    const c = polygonCentroid(poly);
+    const planes = [];
+    for (let i = 0; i < poly.length; i++) {
+      const p = poly[i];
+      const q = poly[(i + 1) % poly.length];
+      let a = q[1] - p[1];
+      let b = p[0] - q[0];
+      if (Math.abs(a) < 1e-12 && Math.abs(b) < 1e-12) continue; // repeated vertex
+      let cc = a * p[0] + b * p[1];
+      if (a * c[0] + b * c[1] > cc) { a = -a; b = -b; cc = -cc; }
+      planes.push({ a, b, c: cc });
+    }
+    return planes;
   }
 
-  function regionPolyFromPlanes(size, planes) {
-    const square = [
-      [0, 0],
-      [size, 0],
-      [size, size],
-      [0, size],
-    ];
-    const poly = clipPolyByPlanes(square, planes);
-    return poly && poly.length >= 3 ? poly : square;
+  // Andrew's monotone chain
+  function convexHull(points) {
+    const pts = points
+      .filter((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+      .map((p) => [p[0], p[1]])
+      .sort((p, q) => (p[0] - q[0]) || (p[1] - q[1]));
+    if (pts.length < 3) return null;
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [];
+    for (const p of pts) {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+      lower.push(p);
+    }
+    const upper = [];
+    for (let i = pts.length - 1; i >= 0; i--) {
+      const p = pts[i];
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+      upper.push(p);
+    }
+    const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+    return hull.length >= 3 && polygonArea(hull) > 1e-6 ? hull : null;
   }
 
+  // Custom outline: hull, moved to the origin, longest side scaled to size
+  function normalizeCustomPoly(points, size) {
+    const hull = convexHull(points);
+    if (!hull) return null;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of hull) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+    const k = size / Math.max(maxX - minX, maxY - minY);
+    return hull.map(([x, y]) => [(x - minX) * k, (y - minY) * k]);
+  }
+
+  // Custom outline as text (links, records): its hull's corners, 2 decimals
+  function shapeCode(points) {
+    const hull = convexHull(points);
+    if (!hull) return "";
+    const num = (v) => String(Math.round(v * 100) / 100);
+    return `poly:${hull.map(([x, y]) => `${num(x)},${num(y)}`).join(";")}`;
+  }
+
+  // -> [[x, y], ...] of a "poly:x,y;..." code, or null if it isn't one / has no area
+  function parseShapePoints(code) {
+    const m = /^poly:(.*)$/.exec(String(code || "").trim());
+    if (!m) return null;
+    const points = m[1].split(";").map((pair) => pair.split(",").map(Number));
+    if (points.length > MAX_SHAPE_POINTS || !convexHull(points)) return null;
+    return points;
+  }
+
+  function makeOutline(shape, size) {
+    let poly = null;
+    let planes = null;
+
+    const points = Array.isArray(shape) ? shape : parseShapePoints(shape);
+    if (points) {
+      poly = normalizeCustomPoly(points, size);
+    } else if (shape === "wide") {
+      poly = rectPoly(size, size * 0.625);
+    } else if (shape === "tall") {
+      poly = rectPoly(size * 0.625, size);
+    } else if (shape === "circle") {
+      const r = size / 2;
+      poly = [];
+      for (let i = 0; i < CIRCLE_SIDES; i++) {
+        const ang = (2 * Math.PI * i) / CIRCLE_SIDES;
+        poly.push([r + Math.cos(ang) * r, r + Math.sin(ang) * r]);
+      }
+    } else if (shape === "hexagon") {
+      // flat-top, full width
+      const r = size / 2;
+      const h = (Math.sqrt(3) / 2) * r;
+      poly = [];
+      for (let i = 0; i < 6; i++) {
+        const ang = (Math.PI / 3) * i;
+        poly.push([r + Math.cos(ang) * r, h + Math.sin(ang) * r]);
+      }
+    }
+
+    if (!poly) {
+      // square keeps its original planes (same boards as before outlines existed)
+      poly = rectPoly(size, size);
+      planes = makeSquarePlanes(size);
+    }
+
+    let width = 0, height = 0;
+    for (const [x, y] of poly) {
+      width = Math.max(width, x);
+      height = Math.max(height, y);
+    }
+
+    return { size, width, height, poly, planes: planes || makePolyPlanes(poly) };
+  }
+
+  // -------------------------
+  // Macro layouts (config.layout): the outline split into convex regions, each a list of
+  // half-planes (outline planes + cuts), so clipping stays by half-planes everywhere
+  // -------------------------
+  function makeStripPlanes(outline, lines) {
+    const { nx, ny, cuts } = lines;
+    const out = [];
+    for (let i = 0; i <= cuts.length; i++) {
+      const extra = [];
+      if (i > 0) extra.push({ a: -nx, b: -ny, c: -cuts[i - 1] });
+      if (i < cuts.length) extra.push({ a: nx, b: ny, c: cuts[i] });
+      out.push(outline.planes.concat(extra));
+    }
+    return out;
+  }
+
+  // half-plane bounded by the line through p and q, on the side of `toward`
+  function planeThrough(p, q, toward) {
+    let a = q[1] - p[1];
+    let b = p[0] - q[0];
+    let c = a * p[0] + b * p[1];
+    if (a * toward[0] + b * toward[1] > c) { a = -a; b = -b; c = -c; }
+    return { a, b, c };
+  }
+
+  // outline centroid, jittered by up to jitter * (shorter side) per axis
+  function layoutCenter(outline, rand, jitter) {
+    const c = polygonCentroid(outline.poly);
+    const d = jitter * Math.min(outline.width, outline.height);
+    return [c[0] + (rand() * 2 - 1) * d, c[1] + (rand() * 2 - 1) * d];
+  }
+
+  // two crossing lines (near-horizontal and near-vertical, +-18 deg) -> 4 regions
+  function makeQuadrantPlanes(outline, rand) {
+    const DEG = Math.PI / 180;
+    const c = layoutCenter(outline, rand, 0.12);
+    const normals = [(rand() * 2 - 1) * 18 * DEG, Math.PI / 2 + (rand() * 2 - 1) * 18 * DEG]
+      .map((th) => [Math.cos(th), Math.sin(th)]);
+    const [n1, n2] = normals;
+    const t1 = n1[0] * c[0] + n1[1] * c[1];
+    const t2 = n2[0] * c[0] + n2[1] * c[1];
+
+    const out = [];
+    for (const s1 of [1, -1]) {
+      for (const s2 of [1, -1]) {
+        out.push(outline.planes.concat([
+          { a: s1 * n1[0], b: s1 * n1[1], c: s1 * t1 },
+          { a: s2 * n2[0], b: s2 * n2[1], c: s2 * t2 },
+        ]));
+      }
+    }
+    return out;
+  }
+
+  // radial wedges around a point near the middle; every wedge < 180 deg so it stays convex
+  const WEDGE_COUNT = 5;
+  const WEDGE_MIN_FRAC = 0.7; // of an even share: 5 wedges -> 50.4..158.4 deg
+
+  function makeWedgePlanes(outline, rand) {
+    const c = layoutCenter(outline, rand, 0.08);
+    const even = (Math.PI * 2) / WEDGE_COUNT;
+    const minA = even * WEDGE_MIN_FRAC;
+    const rem = Math.PI * 2 - WEDGE_COUNT * minA;
+
+    const rs = [];
+    let sum = 0;
+    for (let i = 0; i < WEDGE_COUNT; i++) {
+      const r = rand() + 1e-6;
+      rs.push(r);
+      sum += r;
+    }
+
+    let ang = rand() * Math.PI * 2;
+    const out = [];
+    for (let i = 0; i < WEDGE_COUNT; i++) {
+      const next = ang + minA + (rem * rs[i]) / sum;
+      const mid = (ang + next) / 2;
+      const a = [c[0] + Math.cos(ang), c[1] + Math.sin(ang)];
+      const b = [c[0] + Math.cos(next), c[1] + Math.sin(next)];
+      const m = [c[0] + Math.cos(mid), c[1] + Math.sin(mid)];
+      out.push(outline.planes.concat([planeThrough(c, a, m), planeThrough(c, b, m)]));
+      ang = next;
+    }
+    return out;
+  }
+
+  // central square island + the ring around it, cut at the island corners into 4 convex pieces
+  const ISLAND_RADIUS = 0.3; // corner distance, of the shorter side
+
+  function makeIslandPlanes(outline, rand) {
+    const c = layoutCenter(outline, rand, 0.04);
+    const r = ISLAND_RADIUS * Math.min(outline.width, outline.height);
+    const phi = rand() * (Math.PI / 2);
+
+    const v = [];
+    for (let i = 0; i < 4; i++) {
+      const ang = phi + (i * Math.PI) / 2;
+      v.push([c[0] + Math.cos(ang) * r, c[1] + Math.sin(ang) * r]);
+    }
+
+    const island = [];
+    const ring = [];
+    for (let i = 0; i < 4; i++) {
+      const p = v[i];
+      const q = v[(i + 1) % 4];
+      const m = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+      const beyond = [2 * m[0] - c[0], 2 * m[1] - c[1]];
+      island.push(planeThrough(p, q, c));
+      ring.push(outline.planes.concat([planeThrough(c, p, m), planeThrough(c, q, m), planeThrough(p, q, beyond)]));
+    }
+    return [outline.planes.concat(island)].concat(ring);
+  }
+
+  const LAYOUTS = new Map([
+    ["strips3", (outline, rand) => makeStripPlanes(outline, generateParallelLines(outline, rand, 3))],
+    ["strips2", (outline, rand) => makeStripPlanes(outline, generateParallelLines(outline, rand, 2))],
+    ["strips4", (outline, rand) => makeStripPlanes(outline, generateParallelLines(outline, rand, 4))],
+    ["strips5", (outline, rand) => makeStripPlanes(outline, generateParallelLines(outline, rand, 5))],
+    ["quadrants", makeQuadrantPlanes],
+    ["wedges", makeWedgePlanes],
+    ["island", makeIslandPlanes],
+  ]);
+  const BOARD_LAYOUTS = Array.from(LAYOUTS.keys());
+
   // -------------------------
   // Convex polygon uniform sampling (triangulate fan at v0)
   // -------------------------
@@ -387,7 +680,7 @@
   // - IMPORTANT: the LAST operation is a pure minDist sweep (no zones, no nudge),
   //   so the returned points satisfy minDist much more reliably.
   // -------------------------
-  function enforceMinDistanceAnchored(points, fixedMask, minDist, planes, insidePoint, zones, rand) {
+  function enforceMinDistanceAnchored(points, fixedMask, minDist, planes, insidePoint, zones, rand, finalSweeps = 2) {
     const n = points.length;
     if (n <= 1 || !(minDist > 0)) return points;
 
@@ -399,7 +692,9 @@
     }
 
     // One sweep of pairwise separation; optionally apply zones for NON-STRUCT points.
+    // Returns false if no pair was closer than minDist (nothing moved).
     function separationSweep(applyZones) {
+      let moved = false;
       for (let i = 0; i < n; i++) {
         let pi = points[i];
 
@@ -410,6 +705,7 @@
           let dy = pj[1] - pi[1];
           let d2 = dx * dx + dy * dy;
           if (d2 >= min2) continue;
+          moved = true;
 
           let d = Math.sqrt(d2);
           let ux, uy;
@@ -449,6 +745,7 @@
           pj = aj;
         }
       }
+      return moved;
     }
 
     // Main passes: zones first (soft), then separation, then de-dup.
@@ -475,8 +772,10 @@
 
     // FINAL GUARANTEE: last operations are pure separation sweeps
     // (no zones, no de-dup) so returned points are not modified afterwards.
-    separationSweep(false);
-    separationSweep(false);
+    // Dense boards (large custom N) get more of them; stop early once nothing moves.
+    for (let k = 0; k < finalSweeps; k++) {
+      if (!separationSweep(false)) break;
+    }
 
     return points;
   }
@@ -542,11 +841,11 @@
   // -------------------------
   // Constrained Lloyd in a region (STRUCT anchored)
   // -------------------------
-  function lloydRelaxInRegionAnchored(points, fixedMask, size, iters, regionPlanes, regionInsidePoint, zones, rand) {
+  function lloydRelaxInRegionAnchored(points, fixedMask, outline, iters, regionPlanes, regionInsidePoint, zones, rand) {
     let pts = points;
     for (let t = 0; t < iters; t++) {
-      const delaunay = d3.Delaunay.from(pts);
-      const voronoi = delaunay.voronoi([0, 0, size, size]);
+      const delaunay = Delaunay.from(pts);
+      const voronoi = delaunay.voronoi([0, 0, outline.width, outline.height]);
 
       const nextPts = [];
       for (let i = 0; i < pts.length; i++) {
@@ -608,9 +907,10 @@
     ];
   }
 
-  function buildCellsForRegion(points, size, regionPlanes) {
-    const delaunay = d3.Delaunay.from(points);
-    const voronoi = delaunay.voronoi([0, 0, size, size]);
+  function buildCellsForRegion(points, outline, regionPlanes) {
+    const { size, width, height } = outline;
+    const delaunay = Delaunay.from(points);
+    const voronoi = delaunay.voronoi([0, 0, width, height]);
 
     const cells = [];
     for (let i = 0; i < points.length; i++) {
@@ -628,10 +928,10 @@
       if (!clipped || clipped.length < 3) {
         const [x, y] = points[i];
         clipped = [
-          [clamp(x - 1, 0, size), clamp(y - 1, 0, size)],
-          [clamp(x + 1, 0, size), clamp(y - 1, 0, size)],
-          [clamp(x + 1, 0, size), clamp(y + 1, 0, size)],
-          [clamp(x - 1, 0, size), clamp(y + 1, 0, size)],
+          [clamp(x - 1, 0, width), clamp(y - 1, 0, height)],
+          [clamp(x + 1, 0, width), clamp(y - 1, 0, height)],
+          [clamp(x + 1, 0, width), clamp(y + 1, 0, height)],
+          [clamp(x - 1, 0, width), clamp(y + 1, 0, height)],
         ];
       }
 
@@ -646,104 +946,349 @@
   // -------------------------
   // Piece allocation by region area (with minimum 1 each when possible)
   // -------------------------
+  // areas: one per region (in region order) -> piece count per region
   function allocateByArea(totalN, areas) {
-    const keys = Object.keys(areas);
-    const sumA = keys.reduce((s, k) => s + areas[k], 0);
-
-    if (totalN <= 0) return { left: 0, mid: 0, right: 0 };
-    if (totalN === 1) return { left: 0, mid: 1, right: 0 };
-    if (totalN === 2) return { left: 1, mid: 0, right: 1 };
+    const k = areas.length;
+    const sumA = areas.reduce((s, a) => s + a, 0);
+
+    if (totalN <= 0) return areas.map(() => 0);
+    if (totalN < k) {
+      // fewer pieces than regions: spread them out (3 regions: 1 -> mid, 2 -> left + right)
+      const base = areas.map(() => 0);
+      for (let j = 0; j < totalN; j++) base[Math.floor(((j + 0.5) * k) / totalN)] += 1;
+      return base;
+    }
 
     const baseMin = 1;
-    let remain = totalN - 3 * baseMin;
+    let remain = totalN - k * baseMin;
 
-    const base = { left: baseMin, mid: baseMin, right: baseMin };
+    const base = areas.map(() => baseMin);
     const frac = [];
 
-    for (const k of keys) {
-      const x = (remain * areas[k]) / (sumA || 1);
+    for (let i = 0; i < k; i++) {
+      const x = (remain * areas[i]) / (sumA || 1);
       const f = Math.floor(x);
-      base[k] += f;
-      frac.push({ k, r: x - f });
+      base[i] += f;
+      frac.push({ i, r: x - f });
     }
 
-    let used = base.left + base.mid + base.right;
-    let extra = totalN - used;
+    const total = () => base.reduce((s, n) => s + n, 0);
+    let extra = totalN - total();
 
     frac.sort((p, q) => q.r - p.r);
     let idx = 0;
     while (extra > 0) {
-      const pick = frac[idx % frac.length].k;
+      const pick = frac[idx % frac.length].i;
       base[pick] += 1;
       extra--;
       idx++;
     }
 
-    while (base.left + base.mid + base.right > totalN) {
-      // take from the currently largest region if possible
-      let k = "mid";
-      if (areas.left >= areas.mid && areas.left >= areas.right) k = "left";
-      else if (areas.right >= areas.left && areas.right >= areas.mid) k = "right";
-      if (base[k] > 1) base[k] -= 1;
-      else if (base.mid > 1) base.mid -= 1;
-      else if (base.left > 1) base.left -= 1;
-      else if (base.right > 1) base.right -= 1;
-      else break;
+    while (total() > totalN) {
+      // take from the largest region if possible, else from any region above the minimum
+      let big = 0;
+      for (let i = 1; i < k; i++) if (areas[i] > areas[big]) big = i;
+      const i = base[big] > 1 ? big : base.findIndex((n) => n > 1);
+      if (i < 0) break;
+      base[i] -= 1;
     }
 
     return base;
   }
 
   // -------------------------
-  // Motifs: type 1/2/3
-  //  1: regular n-gon (n in [3,8])
-  //  2: regular n-gon + center (n in [3,8]) => n+1 points
-  //  3: k x n grid (k in {1,2,3}, n in [3,5]) => k*n points
-  // No jitter.
+  // Motif registry: structured STRUCT patterns, placed whole in one region. No jitter.
+  //  def = {
+  //    minPoints,                        smallest point count the motif can be built with
+  //    chooseParam(maxPoints, rand)   -> { count, ... } (count <= maxPoints whenever minPoints fits)
+  //    extent(param, avg)             -> wanted radius around the center (avg = typical cell size)
+  //    points(param, extent, phi, avg) -> { offsets: [[dx, dy]...], extent }
+  //                                       offsets from the center, turned by phi; extent = radius
+  //                                       actually used (sizes the avoid zone)
+  //  }
+  //  Built in: ngon (regular n-gon), ngonCenter (n-gon + center), grid (k x n), spiral, rings
+  //  (two concentric rings), hex (hexagonal lattice), cross (plus sign), stagger (staggered rows).
+  //  The classic plan only uses the first three; config.motifs picks from any registered ids.
+  //  registerMotif throws on a built-in id or an incomplete def; unregisterMotif(id) removes an
+  //  added one again.
   // -------------------------
-  function motifMinPoints(type) {
-    if (type === 1) return 3;
-    if (type === 2) return 4;
-    return 3; // type 3
+  const MOTIFS = new Map();
+  const MOTIF_IDS = [];
+  const BUILTIN_MOTIFS = new Set();
+  const CLASSIC_MOTIFS = ["ngon", "ngonCenter", "grid"];
+  const GRID_SPACING = 1.45; // grid-like motifs: spacing in typical cell sizes
+
+  function defineMotif(id, def) {
+    if (!MOTIFS.has(id)) MOTIF_IDS.push(id);
+    MOTIFS.set(id, def);
+  }
+
+  function registerMotif(id, def) {
+    if (typeof id !== "string" || !id) throw new Error("board_gen.js: registerMotif needs a non-empty id.");
+    if (BUILTIN_MOTIFS.has(id)) throw new Error(`board_gen.js: "${id}" is a built-in motif.`);
+    if (!Number.isInteger(def?.minPoints) || def.minPoints < 1) {
+      throw new Error(`board_gen.js: motif "${id}" needs minPoints (an integer >= 1).`);
+    }
+    for (const fn of ["chooseParam", "extent", "points"]) {
+      if (typeof def[fn] !== "function") throw new Error(`board_gen.js: motif "${id}" needs ${fn}().`);
+    }
+    defineMotif(id, def);
+  }
+
+  // -> false for built-in or unknown ids
+  function unregisterMotif(id) {
+    if (BUILTIN_MOTIFS.has(id) || !MOTIFS.has(id)) return false;
+    MOTIFS.delete(id);
+    MOTIF_IDS.splice(MOTIF_IDS.indexOf(id), 1);
+    return true;
+  }
+
+  function motifMinPoints(id) {
+    return MOTIFS.get(id).minPoints;
   }
 
-  function chooseMotifParam(type, maxPoints, rand) {
+  // Uniform pick among the options that fit maxPoints (the smallest one if none does)
+  function pickFeasible(options, maxPoints, rand) {
+    const feasible = options.filter((o) => o.count <= maxPoints);
+    if (!feasible.length) return options.reduce((a, b) => (b.count < a.count ? b : a));
+    return feasible[Math.floor(rand() * feasible.length)];
+  }
+
+  function chooseMotifParam(id, maxPoints, rand) {
     maxPoints = Math.max(0, maxPoints | 0);
+    return { id, ...MOTIFS.get(id).chooseParam(maxPoints, rand) };
+  }
 
-    if (type === 1) {
-      // regular n-gon, n in [3,8], count = n
-      const nMax = Math.min(8, maxPoints);
-      const n = 3 + Math.floor(rand() * Math.max(1, nMax - 3 + 1));
-      return { type: 1, n, count: n };
-    }
+  // regular n-gon on a circle of radius extent (n in [3,8]), optionally with its center
+  function ngonPoints(withCenter) {
+    return (param, extent, phi) => {
+      const offsets = [];
+      for (let i = 0; i < param.n; i++) {
+        const ang = phi + (2 * Math.PI * i) / param.n;
+        offsets.push([Math.cos(ang) * extent, Math.sin(ang) * extent]);
+      }
+      if (withCenter) offsets.push([0, 0]);
+      return { offsets, extent };
+    };
+  }
 
-    if (type === 2) {
-      // regular n-gon + center, n in [3,8], count = n+1
-      const nMax = Math.min(8, maxPoints - 1);
-      const n = 3 + Math.floor(rand() * Math.max(1, nMax - 3 + 1));
-      return { type: 2, n, count: n + 1 };
-    }
+  function ngonExtent(param, avg) {
+    return avg * (2.4 + 0.12 * (param.n - 3)); // larger n -> a bit larger extent
+  }
+
+  function rotate(lx, ly, phi) {
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    return [lx * cos - ly * sin, lx * sin + ly * cos];
+  }
 
-    // type === 3: k x n grid, k in {1,2,3}, n in [3,5], count = k*n
-    const feasible = [];
-    for (let k = 1; k <= 3; k++) {
-      for (let n = 3; n <= 5; n++) {
-        const c = k * n;
-        if (c <= maxPoints) feasible.push({ k, n, c });
+  // Points laid out at local (unit spacing) positions, scaled to fit extent and turned by phi
+  function latticeOffsets(local, spacingTarget, extent, phi) {
+    let extent0 = 0;
+    for (const [x, y] of local) extent0 = Math.max(extent0, Math.hypot(x, y));
+    const spacing = spacingTarget * clamp(extent / (extent0 * spacingTarget || 1), 0.5, 1.0);
+    let maxR = 0;
+    const offsets = local.map(([x, y]) => {
+      const q = rotate(x * spacing, y * spacing, phi);
+      maxR = Math.max(maxR, Math.hypot(q[0], q[1]));
+      return q;
+    });
+    return { offsets, extent: maxR };
+  }
+
+  function latticeExtent(local, avg) {
+    let r = 0;
+    for (const [x, y] of local) r = Math.max(r, Math.hypot(x, y));
+    return avg * GRID_SPACING * r;
+  }
+
+  function staggerLocal(k, n) {
+    const local = [];
+    for (let row = 0; row < k; row++) {
+      const shift = row % 2 ? 0.5 : 0;
+      const cols = row % 2 ? n - 1 : n; // shifted rows one shorter, so the block stays centred
+      for (let col = 0; col < cols; col++) {
+        local.push([col + shift - (n - 1) * 0.5, (row - (k - 1) * 0.5) * Math.sqrt(3) * 0.5]);
       }
     }
+    return local;
+  }
 
-    // In your pipeline maxPoints is guaranteed >= motifMinPoints(type), so feasible should not be empty.
-    if (!feasible.length) return { type: 3, k: 1, n: 3, count: 3 };
+  function hexLocal(rings) {
+    const local = [[0, 0]];
+    for (let ring = 1; ring <= rings; ring++) {
+      for (let side = 0; side < 6; side++) {
+        const a = rotate(ring, 0, (Math.PI / 3) * side);
+        const b = rotate(ring, 0, (Math.PI / 3) * (side + 1));
+        for (let step = 0; step < ring; step++) {
+          const t = step / ring;
+          local.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+        }
+      }
+    }
+    return local;
+  }
 
-    const pick = feasible[Math.floor(rand() * feasible.length)];
-    return { type: 3, k: pick.k, n: pick.n, count: pick.c };
+  function crossLocal(arm) {
+    const local = [[0, 0]];
+    for (let i = 1; i <= arm; i++) local.push([i, 0], [-i, 0], [0, i], [0, -i]);
+    return local;
   }
 
+  defineMotif("ngon", {
+    minPoints: 3,
+    chooseParam(maxPoints, rand) {
+      const nMax = Math.min(8, maxPoints);
+      const n = 3 + Math.floor(rand() * Math.max(1, nMax - 3 + 1));
+      return { n, count: n };
+    },
+    extent: ngonExtent,
+    points: ngonPoints(false),
+  });
+
+  defineMotif("ngonCenter", {
+    minPoints: 4,
+    chooseParam(maxPoints, rand) {
+      const nMax = Math.min(8, maxPoints - 1);
+      const n = 3 + Math.floor(rand() * Math.max(1, nMax - 3 + 1));
+      return { n, count: n + 1 };
+    },
+    extent: ngonExtent,
+    points: ngonPoints(true),
+  });
+
+  // k x n grid, k in {1,2,3}, n in [3,5]
+  defineMotif("grid", {
+    minPoints: 3,
+    chooseParam(maxPoints, rand) {
+      const options = [];
+      for (let k = 1; k <= 3; k++) {
+        for (let n = 3; n <= 5; n++) options.push({ k, n, count: k * n });
+      }
+      const pick = pickFeasible(options, maxPoints, rand);
+      return { k: pick.k, n: pick.n, count: pick.count };
+    },
+    extent(param, avg) {
+      const halfW = avg * GRID_SPACING * (param.n - 1) * 0.5;
+      const halfH = avg * GRID_SPACING * (param.k - 1) * 0.5;
+      return Math.hypot(halfW, halfH);
+    },
+    points(param, extent, phi, avg) {
+      const spacingTarget = avg * GRID_SPACING;
+      const extent0 = Math.hypot(spacingTarget * (param.n - 1) * 0.5, spacingTarget * (param.k - 1) * 0.5) || 1;
+      const spacing = spacingTarget * clamp(extent / extent0, 0.5, 1.0);
+      const cos = Math.cos(phi);
+      const sin = Math.sin(phi);
+      const x0 = -(param.n - 1) * 0.5 * spacing;
+      const y0 = -(param.k - 1) * 0.5 * spacing;
+
+      const offsets = [];
+      let maxR = 0;
+      for (let row = 0; row < param.k; row++) {
+        for (let col = 0; col < param.n; col++) {
+          const lx = x0 + col * spacing;
+          const ly = y0 + row * spacing;
+          const rx = lx * cos - ly * sin;
+          const ry = lx * sin + ly * cos;
+          offsets.push([rx, ry]);
+          maxR = Math.max(maxR, Math.hypot(rx, ry));
+        }
+      }
+      return { offsets, extent: maxR };
+    },
+  });
+
+  // n points (5..12) on an Archimedean spiral, about 1.5 turns, evenly spaced along it
+  defineMotif("spiral", {
+    minPoints: 5,
+    chooseParam(maxPoints, rand) {
+      const nMax = clamp(maxPoints, 5, 12);
+      const n = 5 + Math.floor(rand() * (nMax - 5 + 1));
+      return { n, count: n };
+    },
+    extent(param, avg) {
+      return avg * 1.1 * Math.sqrt(param.n);
+    },
+    points(param, extent, phi) {
+      const offsets = [];
+      const turn = (3 * Math.PI) / Math.sqrt(param.n);
+      for (let i = 0; i < param.n; i++) {
+        const t = Math.sqrt((i + 1) / param.n); // r grows with the angle: equal arc steps
+        const ang = phi + turn * Math.sqrt(i + 1);
+        offsets.push([Math.cos(ang) * extent * t, Math.sin(ang) * extent * t]);
+      }
+      return { offsets, extent };
+    },
+  });
+
+  // inner ring of m points (3..5) at half radius, outer ring of 2m offset by half a step
+  defineMotif("rings", {
+    minPoints: 9,
+    chooseParam(maxPoints, rand) {
+      const pick = pickFeasible([3, 4, 5].map((m) => ({ m, count: 3 * m })), maxPoints, rand);
+      return { m: pick.m, count: pick.count };
+    },
+    extent(param, avg) {
+      return avg * (1.6 + 0.3 * param.m);
+    },
+    points(param, extent, phi) {
+      const offsets = [];
+      for (let i = 0; i < param.m; i++) {
+        const ang = phi + (2 * Math.PI * i) / param.m;
+        offsets.push([Math.cos(ang) * extent * 0.5, Math.sin(ang) * extent * 0.5]);
+      }
+      for (let i = 0; i < 2 * param.m; i++) {
+        const ang = phi + (Math.PI * (i + 0.5)) / param.m;
+        offsets.push([Math.cos(ang) * extent, Math.sin(ang) * extent]);
+      }
+      return { offsets, extent };
+    },
+  });
+
+  // hexagonal lattice: center + 1 or 2 rings (7 or 19 points)
+  defineMotif("hex", {
+    minPoints: 7,
+    chooseParam(maxPoints, rand) {
+      const pick = pickFeasible([1, 2].map((rings) => ({ rings, count: 1 + 3 * rings * (rings + 1) })), maxPoints, rand);
+      return { rings: pick.rings, count: pick.count };
+    },
+    extent: (param, avg) => latticeExtent(hexLocal(param.rings), avg),
+    points: (param, extent, phi, avg) => latticeOffsets(hexLocal(param.rings), avg * GRID_SPACING, extent, phi),
+  });
+
+  // plus sign: center + 4 arms of 1..3 points
+  defineMotif("cross", {
+    minPoints: 5,
+    chooseParam(maxPoints, rand) {
+      const pick = pickFeasible([1, 2, 3].map((arm) => ({ arm, count: 4 * arm + 1 })), maxPoints, rand);
+      return { arm: pick.arm, count: pick.count };
+    },
+    extent: (param, avg) => latticeExtent(crossLocal(param.arm), avg),
+    points: (param, extent, phi, avg) => latticeOffsets(crossLocal(param.arm), avg * GRID_SPACING, extent, phi),
+  });
+
+  // k rows (2..3) of n / n-1 points (n in [3,5]), every other row shifted half a step (brickwork)
+  defineMotif("stagger", {
+    minPoints: 5,
+    chooseParam(maxPoints, rand) {
+      const options = [];
+      for (let k = 2; k <= 3; k++) {
+        for (let n = 3; n <= 5; n++) options.push({ k, n, count: staggerLocal(k, n).length });
+      }
+      const pick = pickFeasible(options, maxPoints, rand);
+      return { k: pick.k, n: pick.n, count: pick.count };
+    },
+    extent: (param, avg) => latticeExtent(staggerLocal(param.k, param.n), avg),
+    points: (param, extent, phi, avg) =>
+      latticeOffsets(staggerLocal(param.k, param.n), avg * GRID_SPACING, extent, phi),
+  });
+  for (const id of MOTIF_IDS) BUILTIN_MOTIFS.add(id);
+
   // Create motif points and avoid zone in a region
   function buildMotifInRegion(region, motifParam, rand) {
     const { planes, inside, poly, triCache, area, allocN } = region;
     const avg = Math.sqrt(area / Math.max(1, allocN));
+    const def = MOTIFS.get(motifParam.id);
 
     const extra = avg * 0.9;          // clearance to boundary
     const avoidMargin = avg * 1.15;   // push-away ring for macro/micro
@@ -752,18 +1297,7 @@
     let c = sampleUniformInConvexPoly(poly, triCache, rand);
     c = clampToPlanesByBisection(c, inside, planes);
 
-    let extentTarget = avg * 2.6;
-    if (motifParam.type === 1 || motifParam.type === 2) {
-      // larger n -> a bit larger extent
-      extentTarget = avg * (2.4 + 0.12 * (motifParam.n - 3));
-    } else {
-      // grid: extent depends on k,n and spacing
-      // initial spacing target
-      const spacingTarget = avg * 1.45;
-      const halfW = spacingTarget * (motifParam.n - 1) * 0.5;
-      const halfH = spacingTarget * (motifParam.k - 1) * 0.5;
-      extentTarget = Math.hypot(halfW, halfH);
-    }
+    const extentTarget = def.extent(motifParam, avg);
 
     // enforce boundary clearance by moving center inward (no retry)
     c = moveTowardInsideToSatisfyMargin(c, inside, planes, extentTarget + extra);
@@ -774,64 +1308,11 @@
 
     const phi = rand() * Math.PI * 2;
 
-    const pts = [];
-    let motifExtent = extent;
-
-    if (motifParam.type === 1 || motifParam.type === 2) {
-      // regular n-gon on circle of radius=extent
-      const n = motifParam.n;
-      const r = extent;
-      motifExtent = r;
-
-      for (let i = 0; i < n; i++) {
-        const ang = phi + (2 * Math.PI * i) / n;
-        const x = c[0] + Math.cos(ang) * r;
-        const y = c[1] + Math.sin(ang) * r;
-        const q = clampToPlanesByBisection([x, y], inside, planes);
-        pts.push(q);
-      }
-      if (motifParam.type === 2) {
-        pts.push([c[0], c[1]]);
-      }
-    } else {
-      // grid k x n with spacing (scaled to match extent)
-      const k = motifParam.k;
-      const n = motifParam.n;
-
-      const spacingTarget = avg * 1.45;
-      const halfW0 = spacingTarget * (n - 1) * 0.5;
-      const halfH0 = spacingTarget * (k - 1) * 0.5;
-      const extent0 = Math.hypot(halfW0, halfH0) || 1;
-
-      const scale = clamp(extent / extent0, 0.5, 1.0);
-      const spacing = spacingTarget * scale;
-
-      const cos = Math.cos(phi);
-      const sin = Math.sin(phi);
-
-      const x0 = -(n - 1) * 0.5 * spacing;
-      const y0 = -(k - 1) * 0.5 * spacing;
-
-      let maxR = 0;
-
-      for (let row = 0; row < k; row++) {
-        for (let col = 0; col < n; col++) {
-          const lx = x0 + col * spacing;
-          const ly = y0 + row * spacing;
-          const rx = lx * cos - ly * sin;
-          const ry = lx * sin + ly * cos;
-          const x = c[0] + rx;
-          const y = c[1] + ry;
-          const q = clampToPlanesByBisection([x, y], inside, planes);
-          pts.push(q);
-          maxR = Math.max(maxR, Math.hypot(rx, ry));
-        }
-      }
-      motifExtent = maxR;
-    }
+    const shape = def.points(motifParam, extent, phi, avg);
+    const pts = shape.offsets.map(([dx, dy]) => clampToPlanesByBisection([c[0] + dx, c[1] + dy], inside, planes));
 
     // avoid zone for macro/micro
-    const zone = { cx: c[0], cy: c[1], r: motifExtent + avoidMargin };
+    const zone = { cx: c[0], cy: c[1], r: shape.extent + avoidMargin };
 
     return { structPts: pts, avoidZone: zone };
   }
@@ -928,134 +1409,391 @@
   // Build motif plan (global) per your rules
   // -------------------------
   function pickMotifType123(rand) {
-    const r = Math.floor(rand() * 3); // 0,1,2
-    return r === 0 ? 1 : (r === 1 ? 2 : 3);
+    return CLASSIC_MOTIFS[Math.floor(rand() * 3)]; // ngon, ngonCenter, grid
   }
 
-  function buildMotifPlan(pieceCount, rand) {
+  // allowed: config.motifs (registered ids only) or null for the classic plan
+  // structFrac: STRUCT budget share (0.4 unless a tuning profile changes it)
+  function buildMotifPlan(pieceCount, rand, allowed, structFrac = 0.4) {
     const P = pieceCount;
-
-    if (P === 20) {
-      return [{ type: pickMotifType123(rand) }]; // one motif
-    }
-    if (P === 50) {
-      return [
-        { type: 3 }, // must include motif3
-        { type: rand() < 0.5 ? 1 : 2 },
+    let plan;
+
+    if (allowed) {
+      // one motif per slot, each drawn from the allowed ids (slots as for custom counts)
+      const slots = P <= 30 ? 1 : (P <= 70 ? 2 : 3);
+      plan = [];
+      for (let i = 0; i < slots && allowed.length; i++) {
+        plan.push({ id: allowed[Math.floor(rand() * allowed.length)] });
+      }
+    } else if (P === 20) {
+      plan = [{ id: pickMotifType123(rand) }]; // one motif
+    } else if (P === 50) {
+      plan = [
+        { id: "grid" }, // must include a grid
+        { id: rand() < 0.5 ? "ngon" : "ngonCenter" },
       ];
-    }
-    if (P === 100) {
-      // You asked: for 100 pieces, ALWAYS use motif types 1,2,3 exactly once each.
+    } else if (P === 100) {
+      // You asked: for 100 pieces, ALWAYS use the three classic motifs exactly once each.
       // Shuffle so the mapping to macro regions depends on the seed.
-      const types = [1, 2, 3];
-      for (let i = types.length - 1; i > 0; i--) {
+      const ids = CLASSIC_MOTIFS.slice();
+      for (let i = ids.length - 1; i > 0; i--) {
         const j = Math.floor(rand() * (i + 1));
-        const tmp = types[i];
-        types[i] = types[j];
-        types[j] = tmp;
+        const tmp = ids[i];
+        ids[i] = ids[j];
+        ids[j] = tmp;
+      }
+      plan = ids.map((id) => ({ id }));
+    } else if (P <= 30) {
+      // Custom counts: same shapes as the nearest preset, trimmed to the STRUCT budget
+      plan = [{ id: pickMotifType123(rand) }];
+    } else if (P <= 70) {
+      plan = [{ id: "grid" }, { id: rand() < 0.5 ? "ngon" : "ngonCenter" }];
+    } else {
+      const id = pickMotifType123(rand);
+      plan = [{ id }, { id }, { id }];
+    }
+
+    // presets always fit the default 0.4 budget; a smaller structFrac trims them too
+    const Smax = Math.floor(structFrac * P);
+    let need = plan.reduce((s, m) => s + motifMinPoints(m.id), 0);
+    while (plan.length && need > Smax) need -= motifMinPoints(plan.pop().id);
+    return plan;
+  }
+
+  // -------------------------
+  // Board quality metrics
+  // -------------------------
+  const QUALITY_MAX_ATTEMPTS = 8;
+
+  // Largest inscribed circle of a convex cell. Distance-to-boundary is concave there,
+  // so a shrinking grid search around the best sample converges to the optimum.
+  function inscribedCircle(poly) {
+    const planes = makePolyPlanes(poly);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of poly) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+
+    let best = polygonCentroid(poly);
+    let bestD = minPlaneDistance(best, planes);
+    let hw = (maxX - minX) * 0.5, hh = (maxY - minY) * 0.5;
+    const G = 2; // (2G+1)^2 samples per round
+
+    while (Math.max(hw, hh) > 0.05) {
+      const cx = best[0], cy = best[1];
+      for (let i = -G; i <= G; i++) {
+        for (let j = -G; j <= G; j++) {
+          const p = [cx + (hw * i) / G, cy + (hh * j) / G];
+          const d = minPlaneDistance(p, planes);
+          if (d > bestD) { bestD = d; best = p; }
+        }
       }
-      return types.map((t) => ({ type: t }));
+      hw *= 0.5;
+      hh *= 0.5;
+    }
+    return { x: best[0], y: best[1], r: Math.max(0, bestD) };
+  }
+
+  // -------------------------
+  // Labels
+  // -------------------------
+  const LABEL_EDGE_MARGIN = 5;  // main.js bends shared edges up to 4 units, plus the stroke
+  const LABEL_DIGIT_W = 0.6;    // digit advance in em (bold sans)
+  const LABEL_DIGIT_H = 0.72;   // digit height in em
+  const LABEL_WIDE_W = 1.0;     // CJK ideographs are about square
+  const LABEL_WIDE_H = 0.9;
+  const LABEL_UPPER_W = 0.72;   // capitals (letters, Roman numerals)
+  const LABEL_MIN_FONT = 10;
+
+  // [width, height] of one line of text in em (rough per-character classes are enough here)
+  function labelBoxEm(text) {
+    let w = 0, h = LABEL_DIGIT_H;
+    for (const ch of text) {
+      if (ch.charCodeAt(0) >= 0x2e80) {
+        w += LABEL_WIDE_W;
+        h = LABEL_WIDE_H;
+      } else if (ch >= "A" && ch <= "Z") {
+        w += LABEL_UPPER_W;
+      } else {
+        w += LABEL_DIGIT_W;
+      }
+    }
+    return [w, h];
+  }
+
+  // Board-wide size for N pieces (used to be main.js getFontSizeForN); cells only go below it
+  function labelFontCap(n, outline, size) {
+    const area = polygonArea(outline.poly) / (size * size);
+    const s = Math.round((225 / Math.sqrt(n)) * Math.sqrt(area));
+    return Math.max(16, Math.min(72, s));
+  }
+
+  // Largest font (<= maxFont) whose text box fits in the label circle; also used by main.js
+  // when a cell's text changes in play (endless mode)
+  function fitLabelFont(label, text, maxFont) {
+    // text box half-diagonal per 1px of font
+    const [w, h] = labelBoxEm(String(text));
+    const halfDiag = 0.5 * Math.hypot(w, h);
+    const fit = Math.floor((label.r - LABEL_EDGE_MARGIN) / halfDiag);
+    return clamp(fit, LABEL_MIN_FONT, maxFont);
+  }
+
+  function placeLabels(cells, outline, size, labelFor) {
+    const cap = labelFontCap(cells.length, outline, size);
+    for (const cell of cells) {
+      const { x, y, r } = inscribedCircle(cell.poly);
+      const text = labelFor ? labelFor(cell.num) : cell.num;
+      cell.label = { x, y, r, fontSize: fitLabelFont({ r }, text, cap) };
+    }
+  }
+
+  // Radii are normalized by the radius of a disc with the mean cell area, so numbers
+  // compare across piece counts and outlines. fairness: 1 = every cell comfortably sized.
+  // labelClearance is measured at the centroid, so the score doesn't lean on label placement.
+  function computeBoardMetrics(cells, outline) {
+    const n = cells.length;
+    const outlineArea = polygonArea(outline.poly);
+    const meanArea = outlineArea / Math.max(1, n);
+    const meanR = Math.sqrt(meanArea / Math.PI);
+
+    let minA = Infinity, maxA = 0, minIn = Infinity, minClear = Infinity;
+    const byNum = new Array(n + 1);
+    for (const cell of cells) {
+      const a = polygonArea(cell.poly);
+      minA = Math.min(minA, a);
+      maxA = Math.max(maxA, a);
+      minIn = Math.min(minIn, cell.label.r);
+      minClear = Math.min(minClear, Math.max(0, minPlaneDistance(cell.centroid, makePolyPlanes(cell.poly))));
+      if (cell.num >= 1 && cell.num <= n) byNum[cell.num] = cell;
+    }
+
+    let stepSum = 0, steps = 0;
+    for (let k = 1; k < n; k++) {
+      const a = byNum[k], b = byNum[k + 1];
+      if (!a || !b) continue;
+      stepSum += Math.hypot(b.centroid[0] - a.centroid[0], b.centroid[1] - a.centroid[1]);
+      steps++;
+    }
+
+    const minAreaRatio = minA / meanArea;
+    const maxAreaRatio = maxA / meanArea;
+    const minInscribedRatio = minIn / meanR;
+    const labelClearanceRatio = minClear / meanR;
+
+    // each term saturates at a "clearly fine" level
+    const fa = clamp(minAreaRatio / 0.2, 0, 1);
+    const fi = clamp(minInscribedRatio / 0.3, 0, 1);
+    const fl = clamp(labelClearanceRatio / 0.25, 0, 1);
+
+    return {
+      minAreaRatio,
+      maxAreaRatio,
+      minInscribedRatio,
+      labelClearanceRatio,
+      avgStepDist: steps ? stepSum / steps / Math.sqrt(outlineArea) : 0, // in board widths
+      fairness: Math.cbrt(fa * fi * fl),
+    };
+  }
+
+  // -------------------------
+  // Tuning profiles (config.profile / config.tuning)
+  //  microFrac     share of the non-STRUCT points drawn around a few micro centers (the rest spread out)
+  //  alpha         pull of micro points toward their center (higher = tighter clusters)
+  //  minDistFactor final minimum distance between sites, in average cell sizes
+  //  kingStrength  radius (in cell sizes) of the "king bubble" pushed open in the largest region; 0 = off
+  //  structFrac    STRUCT (motif) budget, share of the pieces
+  //  relaxIters    Lloyd passes (an explicit config.relaxIters still wins)
+  // -------------------------
+  const TUNING_LIMITS = {
+    microFrac: { min: 0, max: 1, step: 0.01 },
+    alpha: { min: 0.25, max: 8, step: 0.25 },
+    minDistFactor: { min: 0, max: 0.9, step: 0.05 },
+    kingStrength: { min: 0, max: 20, step: 1 },
+    structFrac: { min: 0, max: 0.6, step: 0.05 },
+    relaxIters: { min: 0, max: 10, step: 1 },
+  };
+  const TUNING_FIELDS = Object.keys(TUNING_LIMITS);
+
+  // uniform = the classic generator, so boards from before profiles existed stay the same
+  const PROFILES = new Map([
+    ["uniform", { microFrac: 0.88, alpha: 3.0, minDistFactor: 0.6, kingStrength: 0, structFrac: 0.4, relaxIters: 3 }],
+    ["clustered", { microFrac: 0.95, alpha: 4.0, minDistFactor: 0.5, kingStrength: 0, structFrac: 0.4, relaxIters: 1 }],
+    ["chaotic", { microFrac: 0.6, alpha: 1.5, minDistFactor: 0.3, kingStrength: 3, structFrac: 0.15, relaxIters: 0 }],
+  ]);
+  const DEFAULT_PROFILE = "uniform";
+  const TUNING_PROFILES = Array.from(PROFILES.keys()).concat(["custom"]);
+
+  function clampTuningField(field, v) {
+    const { min, max, step } = TUNING_LIMITS[field];
+    const x = clamp(v, min, max);
+    // whole steps only, so the same values always print (and link) the same way
+    return Math.round(Math.round(x / step) * step * 1000) / 1000;
+  }
+
+  // -> full, validated parameter set. Unknown profiles are uniform; custom starts from uniform
+  //    and takes every finite field of `tuning`, clamped to TUNING_LIMITS.
+  function resolveTuning(profile, tuning) {
+    if (profile !== "custom") return { ...(PROFILES.get(profile) || PROFILES.get(DEFAULT_PROFILE)) };
+    const out = { ...PROFILES.get(DEFAULT_PROFILE) };
+    for (const field of TUNING_FIELDS) {
+      const raw = tuning?.[field];
+      if (raw == null || raw === "") continue; // e.g. an emptied input
+      const v = Number(raw);
+      if (Number.isFinite(v)) out[field] = clampTuningField(field, v);
     }
+    return out;
+  }
+
+  // Short text form for links and records: "" (uniform), "clustered", "chaotic" or
+  // "custom:0.9,4,0.5,0,0.3,2" (TUNING_FIELDS order)
+  function tuningCode(profile, tuning) {
+    if (profile !== "custom") return PROFILES.has(profile) && profile !== DEFAULT_PROFILE ? profile : "";
+    const t = resolveTuning(profile, tuning);
+    return `custom:${TUNING_FIELDS.map((f) => t[f]).join(",")}`;
+  }
 
-    // Fallback (shouldn't happen with your UI):
-    if (P <= 30) return [{ type: pickMotifType123(rand) }];
-    if (P <= 70) return [{ type: 3 }, { type: rand() < 0.5 ? 1 : 2 }];
-    const t = pickMotifType123(rand);
-    return [{ type: t }, { type: t }, { type: t }];
+  // -> { profile, tuning } (tuning null unless custom); anything unreadable is uniform
+  function parseTuningCode(code) {
+    const text = String(code || "").trim();
+    if (PROFILES.has(text)) return { profile: text, tuning: null };
+    const m = /^custom:(.*)$/.exec(text);
+    if (!m) return { profile: DEFAULT_PROFILE, tuning: null };
+    const values = m[1].split(",");
+    const tuning = {};
+    TUNING_FIELDS.forEach((f, i) => {
+      if (values[i] != null && values[i].trim() !== "") tuning[f] = Number(values[i]);
+    });
+    return { profile: "custom", tuning: resolveTuning("custom", tuning) };
   }
 
   // -------------------------
-  // Main entry
+  // Main entry (with optional quality gate)
   // -------------------------
   function buildBoard(config, size) {
+    if (!Delaunay) {
+      throw new Error("board_gen.js: no d3-delaunay, call setDelaunay(Delaunay) first.");
+    }
+
+    const minFairness = clamp(Number(config.minFairness) || 0, 0, 1);
+    const repair = config.qualityFix === "repair";
+    const baseIters =
+      typeof config.relaxIters === "number" && Number.isFinite(config.relaxIters)
+        ? Math.max(0, config.relaxIters | 0)
+        : resolveTuning(config.profile, config.tuning).relaxIters;
+
+    // repair stays within TUNING_LIMITS, so a custom tuning can name the accepted board
+    const maxIters = Math.max(baseIters, TUNING_LIMITS.relaxIters.max);
+
+    let best = null;
+    let attempts = minFairness > 0 ? QUALITY_MAX_ATTEMPTS : 1;
+    for (let k = 0; k < attempts; k++) {
+      const seedStr = (k === 0 || repair) ? config.seedStr : `${config.seedStr}~${k}`;
+      const relaxIters = repair ? Math.min(baseIters + 2 * k, maxIters) : baseIters;
+      if (repair && k > 0 && baseIters + 2 * (k - 1) >= maxIters) {
+        attempts = k; // the last attempt already had every pass there is to add
+        break;
+      }
+
+      const board = buildBoardOnce({ ...config, seedStr, relaxIters }, size);
+      const labelFor = config.labelFor ? (num) => config.labelFor(num, seedStr) : null;
+      placeLabels(board.cells, board.outline, size, labelFor);
+      board.metrics = computeBoardMetrics(board.cells, board.outline);
+      board.quality = { attempts: k + 1, seedStr, relaxIters, passed: board.metrics.fairness >= minFairness };
+
+      if (!best || board.metrics.fairness > best.metrics.fairness) best = board;
+      if (board.quality.passed) return board;
+    }
+    best.quality.attempts = attempts;
+    return best;
+  }
+
+  function buildBoardOnce(config, size) {
     const { rand } = makeRng(config.seedStr);
     const N = Math.max(1, config.pieceCount | 0);
 
+    // tuning profile (uniform unless config.profile says otherwise)
+    const tune = resolveTuning(config.profile, config.tuning);
+
     // FINALIZE config
     const relaxIters =
       typeof config.relaxIters === "number" && Number.isFinite(config.relaxIters)
         ? Math.max(0, config.relaxIters | 0)
-        : 1;
+        : tune.relaxIters;
 
     // non-struct micro behavior (higher micro ratio per your request)
     const params = {
-      microFrac: 0.88, // used for non-struct remainder
-      alpha: 3.0,
+      microFrac: tune.microFrac, // used for non-struct remainder
+      alpha: tune.alpha,
     };
 
-    // min distance (final pass)
-    const minDistFactor = 0.6;
-
-    // king bubble (before finalize)
-    const kingStrength = 20;
-
-    // 1) parallel lines
-    const lines = generateParallelLines(size, rand);
-
-    // 2) region planes and polygons
-    const planes = makeRegionPlanes(size, lines);
-
-    const polyL = regionPolyFromPlanes(size, planes.left);
-    const polyM = regionPolyFromPlanes(size, planes.mid);
-    const polyR = regionPolyFromPlanes(size, planes.right);
-
-    const areaL = polygonArea(polyL);
-    const areaM = polygonArea(polyM);
-    const areaR = polygonArea(polyR);
-
-    const insideL = polygonCentroid(polyL);
-    const insideM = polygonCentroid(polyM);
-    const insideR = polygonCentroid(polyR);
+    // min distance (final pass); extra sweeps only past the largest preset so preset boards stay identical
+    const minDistFactor = tune.minDistFactor;
+    const finalSweeps = N > 100 ? 40 : 2;
+
+    // king bubble (before finalize); off in the uniform profile
+    const kingStrength = tune.kingStrength;
+
+    // 0) board outline
+    const outline = makeOutline(config.shape, size);
+
+    // 1) macro layout: convex regions as half-plane lists (default: three parallel strips)
+    const layout = LAYOUTS.get(config.layout) || LAYOUTS.get("strips3");
+    const layoutPlanes = layout(outline, rand);
+
+    // 2) region polygons; a cut that misses the outline (odd custom shapes) drops its region
+    const regions = [];
+    for (const regionPlanes of layoutPlanes) {
+      const poly = clipPolyByPlanes(outline.poly, regionPlanes);
+      const area = poly ? polygonArea(poly) : 0;
+      if (!(area > 1e-6)) continue;
+      regions.push({
+        key: regions.length, planes: regionPlanes, poly, inside: polygonCentroid(poly), area,
+        triCache: makeFanTriangles(poly), allocN: 0,
+      });
+    }
+    if (!regions.length) {
+      regions.push({
+        key: 0, planes: outline.planes, poly: outline.poly, inside: polygonCentroid(outline.poly),
+        area: polygonArea(outline.poly), triCache: makeFanTriangles(outline.poly), allocN: 0,
+      });
+    }
 
     // 3) allocate piece counts by region area
-    const alloc = allocateByArea(N, { left: areaL, mid: areaM, right: areaR });
-
-    // region descriptors
-    const regionL = {
-      key: "left", planes: planes.left, poly: polyL, inside: insideL, area: areaL,
-      triCache: makeFanTriangles(polyL), allocN: alloc.left,
-    };
-    const regionM = {
-      key: "mid", planes: planes.mid, poly: polyM, inside: insideM, area: areaM,
-      triCache: makeFanTriangles(polyM), allocN: alloc.mid,
-    };
-    const regionR = {
-      key: "right", planes: planes.right, poly: polyR, inside: insideR, area: areaR,
-      triCache: makeFanTriangles(polyR), allocN: alloc.right,
-    };
-
-    const regions = [regionL, regionM, regionR];
+    const alloc = allocateByArea(N, regions.map((r) => r.area));
+    regions.forEach((r, i) => { r.allocN = alloc[i]; });
 
-    // 4) motif plan (global)
-    const motifPlan = buildMotifPlan(N, rand);
+    // 4) motif plan (global); unknown ids in config.motifs are dropped ([] = no motifs)
+    const allowedMotifs = Array.isArray(config.motifs) ? config.motifs.filter((id) => MOTIFS.has(id)) : null;
+    const motifPlan = buildMotifPlan(N, rand, allowedMotifs, tune.structFrac);
 
-    // decide which regions receive motifs (by area rank)
+    // decide which regions receive motifs (by area rank): one motif per region, largest first
+    // (P=20: the largest region; P=50: the two largest; P=100: the three largest)
     const byArea = regions.slice().sort((a, b) => b.area - a.area);
+    const targetRegions = byArea.slice(0, motifPlan.length);
 
-    // For P=20: 1 motif -> largest region
-    // For P=50: 2 motifs -> largest and 2nd largest
-    // For P=100: 3 motifs -> each region (largest,2nd,3rd) (same type)
-    const targetRegions = byArea.slice(0, Math.min(motifPlan.length, 3));
-
-    // 5) Determine motif params with global budget S <= floor(0.4N), respecting per-region capacity
-    const Smax = Math.floor(0.4 * N);
+    // 5) Determine motif params with global budget S <= floor(structFrac*N), respecting per-region capacity
+    const Smax = Math.floor(tune.structFrac * N);
     let usedS = 0;
 
     // storage per region
-    const regionStruct = { left: [], mid: [], right: [] };
-    const regionZones = { left: [], mid: [], right: [] };
+    const regionStruct = regions.map(() => []);
+    const regionZones = regions.map(() => []);
 
     // sequential budgeted assignment: each target region gets exactly one motif
     for (let i = 0; i < motifPlan.length; i++) {
-      const type = motifPlan[i].type;
+      const id = motifPlan[i].id;
       const reg = targetRegions[i];
       if (!reg) break;
 
-      const minP = motifMinPoints(type);
+      const minP = motifMinPoints(id);
+
+      // custom (small) counts: the region can't hold this motif -> leave it unstructured
+      if ((reg.allocN | 0) < minP) continue;
 
       // reserve minimal points for remaining motifs
       let minRemain = 0;
-      for (let j = i + 1; j < motifPlan.length; j++) minRemain += motifMinPoints(motifPlan[j].type);
+      for (let j = i + 1; j < motifPlan.length; j++) minRemain += motifMinPoints(motifPlan[j].id);
 
       // per-region capacity: do not exceed allocN; try to keep at least a tiny remainder if possible
       const cap = Math.max(0, reg.allocN | 0);
@@ -1065,7 +1803,7 @@
       const budgetMax = Math.max(minP, Smax - usedS - minRemain);
       const maxPoints = Math.min(capMax, budgetMax);
 
-      const param = chooseMotifParam(type, maxPoints, rand);
+      const param = chooseMotifParam(id, maxPoints, rand);
       usedS += param.count;
 
       const built = buildMotifInRegion(reg, param, rand);
@@ -1107,69 +1845,49 @@
       return { pts, fixedMask, zones };
     }
 
-    let L = buildRegionPoints(regionL);
-    let M = buildRegionPoints(regionM);
-    let R = buildRegionPoints(regionR);
-
-    // // 7) King bubble: always pick the largest-area region (L/M/R)
-    // let pick = "M";
-    // let bestA = regionM.area;
-
-    // if (regionL.area > bestA) { bestA = regionL.area; pick = "L"; }
-    // if (regionR.area > bestA) { bestA = regionR.area; pick = "R"; }
-
-    // // (Optional safety) only apply if the chosen region has enough points
-    // if (pick === "L") {
-    //   if (L.pts.length >= 2) {
-    //     L.pts = applyKingBubbleAnchored(L.pts, L.fixedMask, regionL.planes, regionL.inside, regionL.area, kingStrength, L.zones, rand);
-    //   }
-    // } else if (pick === "M") {
-    //   if (M.pts.length >= 2) {
-    //     M.pts = applyKingBubbleAnchored(M.pts, M.fixedMask, regionM.planes, regionM.inside, regionM.area, kingStrength, M.zones, rand);
-    //   }
-    // } else {
-    //   if (R.pts.length >= 2) {
-    //     R.pts = applyKingBubbleAnchored(R.pts, R.fixedMask, regionR.planes, regionR.inside, regionR.area, kingStrength, R.zones, rand);
-    //   }
-    // }
-
-    // 8) FINALIZE: Lloyd (STRUCT anchored) -> enforceMinDistance (STRUCT anchored)
+    const regionPts = regions.map(buildRegionPoints);
+
+    // 7) King bubble (tuning profiles only): always pick the largest-area region
+    if (kingStrength > 0) {
+      const king = byArea[0];
+      const K = regionPts[king.key];
+      // (Optional safety) only apply if the chosen region has enough points
+      if (K.pts.length >= 2) {
+        K.pts = applyKingBubbleAnchored(K.pts, K.fixedMask, king.planes, king.inside, king.area, kingStrength, K.zones, rand);
+      }
+    }
+
+    // 8) FINALIZE: Lloyd (STRUCT anchored) -> enforceMinDistance (STRUCT anchored), region by region
     if (relaxIters > 0) {
-      L.pts = lloydRelaxInRegionAnchored(L.pts, L.fixedMask, size, relaxIters, regionL.planes, regionL.inside, L.zones, rand);
-      M.pts = lloydRelaxInRegionAnchored(M.pts, M.fixedMask, size, relaxIters, regionM.planes, regionM.inside, M.zones, rand);
-      R.pts = lloydRelaxInRegionAnchored(R.pts, R.fixedMask, size, relaxIters, regionR.planes, regionR.inside, R.zones, rand);
-    }
-
-    L.pts = enforceMinDistanceAnchored(
-      L.pts, L.fixedMask,
-      minDistFromArea(regionL.area, L.pts.length, minDistFactor),
-      regionL.planes, regionL.inside, L.zones, rand
-    );
-    M.pts = enforceMinDistanceAnchored(
-      M.pts, M.fixedMask,
-      minDistFromArea(regionM.area, M.pts.length, minDistFactor),
-      regionM.planes, regionM.inside, M.zones, rand
-    );
-    R.pts = enforceMinDistanceAnchored(
-      R.pts, R.fixedMask,
-      minDistFromArea(regionR.area, R.pts.length, minDistFactor),
-      regionR.planes, regionR.inside, R.zones, rand
-    );
+      for (const region of regions) {
+        const R = regionPts[region.key];
+        R.pts = lloydRelaxInRegionAnchored(R.pts, R.fixedMask, outline, relaxIters, region.planes, region.inside, R.zones, rand);
+      }
+    }
 
-    // 9) build clipped cells for each region (hard boundary)
-    const cellsL = buildCellsForRegion(L.pts, size, regionL.planes);
-    const cellsM = buildCellsForRegion(M.pts, size, regionM.planes);
-    const cellsR = buildCellsForRegion(R.pts, size, regionR.planes);
+    for (const region of regions) {
+      const R = regionPts[region.key];
+      R.pts = enforceMinDistanceAnchored(
+        R.pts, R.fixedMask,
+        minDistFromArea(region.area, R.pts.length, minDistFactor),
+        region.planes, region.inside, R.zones, rand, finalSweeps
+      );
+    }
 
-    const cellsAll = cellsL.concat(cellsM, cellsR);
+    // 9) build clipped cells for each region (hard boundary)
+    const cellsAll = [];
+    for (const region of regions) {
+      for (const cell of buildCellsForRegion(regionPts[region.key].pts, outline, region.planes)) cellsAll.push(cell);
+    }
 
-    // deterministic fix (should not happen): truncate/pad
-    if (cellsAll.length !== N) {
+    // deterministic fix (should not happen): truncate/pad, reported as countFix so tests catch it
+    const countFix = cellsAll.length - N;
+    if (countFix !== 0) {
       while (cellsAll.length > N) cellsAll.pop();
       while (cellsAll.length < N) {
-        const p = insideM;
+        const p = byArea[0].inside;
         const fb = makeFallbackTriangle(p, size);
-        const clipped = clipPolyByPlanes(fb, planes.mid) || fb;
+        const clipped = clipPolyByPlanes(fb, byArea[0].planes) || fb;
         cellsAll.push({ poly: clipped, centroid: polygonCentroid(clipped) });
       }
     }
@@ -1179,8 +1897,33 @@
     shuffleInPlace(nums, rand);
     for (let i = 0; i < N; i++) cellsAll[i].num = nums[i];
 
-    return { cells: cellsAll };
+    return {
+      cells: cellsAll,
+      outline: { width: outline.width, height: outline.height, poly: outline.poly },
+      countFix,
+    };
   }
 
   JC.buildBoard = buildBoard;
-})(window);
+  JC.BOARD_SHAPES = BOARD_SHAPES;
+  JC.BOARD_LAYOUTS = BOARD_LAYOUTS;
+  JC.TUNING_PROFILES = TUNING_PROFILES;
+  JC.TUNING_LIMITS = TUNING_LIMITS;
+  JC.resolveTuning = resolveTuning;
+  JC.tuningCode = tuningCode;
+  JC.parseTuningCode = parseTuningCode;
+  JC.shapeCode = shapeCode;
+  JC.parseShapePoints = parseShapePoints;
+  JC.MOTIFS = MOTIF_IDS;
+  JC.registerMotif = registerMotif;
+  JC.unregisterMotif = unregisterMotif;
+  JC.fitLabelFont = fitLabelFont;
+  if (isCommonJS) {
+    module.exports = {
+      buildBoard, BOARD_SHAPES, BOARD_LAYOUTS, MOTIFS: MOTIF_IDS, registerMotif, unregisterMotif, setDelaunay,
+      fitLabelFont,
+      TUNING_PROFILES, TUNING_LIMITS, resolveTuning, tuningCode, parseTuningCode, shapeCode,
+      parseShapePoints,
+    };
+  }
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * challenge.js
+ * - Shareable challenge links: ?seed=abc&n=50&mode=hard&shape=circle&beat=42.3
+ * - shape is omitted for the default square board; rule / pen (penalty rules, see records.js)
+ *   are omitted for the default fixed 10s, e.g. &rule=escalating&pen=5; order (+ k for
+ *   multiples) is omitted for 1..N, e.g. &order=multiples&k=3; sym is omitted for digits;
+ *   run (timeAttack / endless) is omitted for the plain 1..N sprint; gen (board generator
+ *   profile, JC.tuningCode in board_gen.js) is omitted for the default uniform boards,
+ *   e.g. &gen=clustered or &gen=custom:0.9,4,0.5,0,0.4,1
+ * - Params may also live in the hash (#seed=...), the query wins on conflicts.
+ * - Only parses / formats; validating n and mode against the UI is main.js's job.
+ * - Exposes window.JC.parseChallenge(search, hash) and JC.buildChallengeUrl(base, challenge)
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+
+  // -> { seed, pieceCount|null, mode|null, shape|null, order|null, multipleK|null, symbols|null,
+  //      rule|null, penaltySec|null, run|null, gen|null, beatMs|null }
+  //    or null if there is no seed
+  function parseChallenge(search, hash) {
+    const params = new URLSearchParams(search || "");
+    const fromHash = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    for (const [k, v] of fromHash) {
+      if (!params.has(k)) params.set(k, v);
+    }
+
+    const seed = (params.get("seed") || "").trim();
+    if (!seed) return null;
+
+    const n = parseInt(params.get("n") || "", 10);
+    const mode = (params.get("mode") || "").trim().toLowerCase();
+    const shape = (params.get("shape") || "").trim().toLowerCase();
+    const order = (params.get("order") || "").trim();
+    const k = parseInt(params.get("k") || "", 10);
+    const symbols = (params.get("sym") || "").trim();
+    const rule = (params.get("rule") || "").trim();
+    const pen = parseInt(params.get("pen") || "", 10);
+    const run = (params.get("run") || "").trim();
+    const gen = (params.get("gen") || "").trim();
+    const beat = parseFloat(params.get("beat") || "");
+
+    return {
+      seed,
+      pieceCount: Number.isFinite(n) ? n : null,
+      mode: mode || null,
+      shape: shape || null,
+      order: order || null,
+      multipleK: Number.isFinite(k) ? k : null,
+      symbols: symbols || null,
+      rule: rule || null,
+      penaltySec: Number.isFinite(pen) ? pen : null,
+      run: run || null,
+      gen: gen || null,
+      beatMs: Number.isFinite(beat) && beat > 0 ? Math.round(beat * 1000) : null,
+    };
+  }
+
+  function buildChallengeUrl(base, challenge) {
+    const params = new URLSearchParams();
+    params.set("seed", challenge.seed);
+    params.set("n", String(challenge.pieceCount));
+    params.set("mode", challenge.mode);
+    if (challenge.shape && challenge.shape !== "square") params.set("shape", challenge.shape);
+    if (challenge.order && challenge.order !== "up") params.set("order", challenge.order);
+    if (challenge.order === "multiples") params.set("k", String(challenge.multipleK));
+    if (challenge.symbols && challenge.symbols !== "digits") params.set("sym", challenge.symbols);
+    if (challenge.rule && challenge.rule !== "fixed") params.set("rule", challenge.rule);
+    if (challenge.penaltySec != null && challenge.penaltySec !== 10) params.set("pen", String(challenge.penaltySec));
+    if (challenge.run && challenge.run !== "sprint") params.set("run", challenge.run);
+    if (challenge.gen) params.set("gen", challenge.gen);
+    if (challenge.beatMs > 0) {
+      // floor to tenths, same as the HUD timer
+      params.set("beat", (Math.floor(challenge.beatMs / 100) / 10).toFixed(1));
+    }
+    return `${base}?${params}`;
+  }
+
+  JC.parseChallenge = parseChallenge;
+  JC.buildChallengeUrl = buildChallengeUrl;
+})(window);
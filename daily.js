@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * daily.js
+ * - Daily challenge: one board per UTC day, the same for everyone.
+ * - The seed is drawn from JC.makeRng over the date key; mode and piece count are fixed.
+ * - minFairness asks board_gen.js to reseed boards with slivers, so every day plays fair.
+ * - Exposes window.JC.dailyKey(date), JC.dailyBoard(dayKey) and JC.dailyStreak(results, todayKey)
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+  const makeRng = JC.makeRng;
+
+  if (typeof makeRng !== "function") {
+    throw new Error("daily.js: missing rng.js (window.JC.makeRng).");
+  }
+
+  const DAILY_MODE = "normal";
+  const DAILY_PIECE_COUNT = 50;
+  const DAILY_MIN_FAIRNESS = 0.8; // rejects roughly the worst 5% of boards
+
+  // "YYYY-MM-DD" in UTC, so everyone switches boards at the same moment
+  function dailyKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  function dailyBoard(dayKey) {
+    const { rand } = makeRng(`justclick-daily|${dayKey}`);
+    const tag = Math.floor(rand() * 2176782336).toString(36); // 6 base-36 digits
+    return {
+      seed: `daily-${dayKey}-${tag}`,
+      mode: DAILY_MODE,
+      pieceCount: DAILY_PIECE_COUNT,
+      minFairness: DAILY_MIN_FAIRNESS,
+    };
+  }
+
+  // Consecutive days with a finished official run, ending today (or yesterday if today is
+  // still open); a DNF breaks the streak
+  function dailyStreak(results, todayKey) {
+    const d = new Date(`${todayKey}T00:00:00Z`);
+    if (!results[todayKey]) d.setUTCDate(d.getUTCDate() - 1);
+
+    let streak = 0;
+    while (results[dailyKey(d)] && !results[dailyKey(d)].dnf) {
+      streak++;
+      d.setUTCDate(d.getUTCDate() - 1);
+    }
+    return streak;
+  }
+
+  JC.dailyKey = dailyKey;
+  JC.dailyBoard = dailyBoard;
+  JC.dailyStreak = dailyStreak;
+})(window);
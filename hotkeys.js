@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * hotkeys.js
+ * - Keyboard shortcuts for the game controls: action -> list of keys, stored per browser.
+ * - Keys are KeyboardEvent.key values, letters lowercased and " " as "Space".
+ * - Only bindings live here; what each action does is main.js's job.
+ * - Exposes window.JC.HOTKEY_ACTIONS, JC.loadHotkeys(), JC.saveHotkeys(bindings),
+ *   JC.resetHotkeys(), JC.hotkeyFromEvent(ev), JC.hotkeyAction(bindings, key),
+ *   JC.bindHotkey(bindings, action, key) and JC.hotkeyLabel(key)
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+
+  const STORAGE_KEY = "justclick.hotkeys.v1";
+
+  // order = order in the help overlay
+  const HOTKEY_ACTIONS = [
+    { id: "pause", label: "Pause / resume", keys: ["Space", "p"] },
+    { id: "newBoard", label: "New board", keys: ["n"] },
+    { id: "retry", label: "Retry this board", keys: ["r"] },
+    { id: "home", label: "Home", keys: ["Escape"] },
+    { id: "help", label: "Show shortcuts", keys: ["?"] },
+  ];
+
+  const KEY_LABELS = { Space: "Space", Escape: "Esc", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+
+  function defaultHotkeys() {
+    const bindings = {};
+    for (const a of HOTKEY_ACTIONS) bindings[a.id] = a.keys.slice();
+    return bindings;
+  }
+
+  // Missing / malformed actions fall back to their defaults
+  function loadHotkeys() {
+    const bindings = defaultHotkeys();
+    try {
+      const raw = global.localStorage.getItem(STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      for (const a of HOTKEY_ACTIONS) {
+        const keys = data?.[a.id];
+        if (Array.isArray(keys) && keys.every((k) => typeof k === "string" && k)) bindings[a.id] = keys;
+      }
+    } catch (e) {
+      // storage disabled or corrupted: defaults
+    }
+    return bindings;
+  }
+
+  function saveHotkeys(bindings) {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (e) {
+      // quota / private mode: bindings last for this page only
+    }
+  }
+
+  function resetHotkeys() {
+    try {
+      global.localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      // nothing stored anyway
+    }
+    return defaultHotkeys();
+  }
+
+  // null for modifier combos (browser / OS shortcuts) and bare modifier keys
+  function hotkeyFromEvent(ev) {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey) return null;
+    const key = ev.key;
+    if (!key || key === "Shift" || key === "Control" || key === "Alt" || key === "Meta") return null;
+    if (key === " " || key === "Spacebar") return "Space";
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  function hotkeyAction(bindings, key) {
+    if (!key) return null;
+    for (const a of HOTKEY_ACTIONS) {
+      if (bindings[a.id]?.includes(key)) return a.id;
+    }
+    return null;
+  }
+
+  // key becomes the only binding of action and is taken away from any other action
+  function bindHotkey(bindings, action, key) {
+    const next = {};
+    for (const a of HOTKEY_ACTIONS) next[a.id] = (bindings[a.id] || []).filter((k) => k !== key);
+    next[action] = [key];
+    return next;
+  }
+
+  function hotkeyLabel(key) {
+    return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+  }
+
+  JC.HOTKEY_ACTIONS = HOTKEY_ACTIONS;
+  JC.loadHotkeys = loadHotkeys;
+  JC.saveHotkeys = saveHotkeys;
+  JC.resetHotkeys = resetHotkeys;
+  JC.hotkeyFromEvent = hotkeyFromEvent;
+  JC.hotkeyAction = hotkeyAction;
+  JC.bindHotkey = bindHotkey;
+  JC.hotkeyLabel = hotkeyLabel;
+})(window);
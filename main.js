@@ -11,70 +11,233 @@ const $ = (sel) => document.querySelector(sel);
 const els = {
   startScreen: $("#startScreen"),
   gameScreen: $("#gameScreen"),
+  versusScreen: $("#versusScreen"),
+  onlineScreen: $("#onlineScreen"),
 
   seedInput: $("#seedInput"),
+  customPieceInput: $("#customPieceInput"),
+  customShapeInput: $("#customShapeInput"),
+  multipleInput: $("#multipleInput"),
+  symbolsRow: $("#symbolsRow"),
+  profileRow: $("#profileRow"),
+  tuningGrid: $("#tuningGrid"),
   seedShare: $("#seedShare"),
   showTimerToggle: $("#showTimerToggle"),
+  countdownToggle: $("#countdownToggle"),
 
   startBtn: $("#startBtn"),
+  dailyBtn: $("#dailyBtn"),
+  versusBtn: $("#versusBtn"),
+  onlineBtn: $("#onlineBtn"),
+  dailyInfo: $("#dailyInfo"),
+  bestsTable: $("#bestsTable"),
 
   timeStat: $("#timeStat"),
   timeText: $("#timeText"),
+  targetStat: $("#targetStat"),
+  targetText: $("#targetText"),
+  scoreStat: $("#scoreStat"),
+  scoreText: $("#scoreText"),
+  livesStat: $("#livesStat"),
+  livesText: $("#livesText"),
   clickBanner: $("#clickBanner"),
+  srLive: $("#srLive"),
   modePill: $("#modePill"),
   penaltyHint: $("#penaltyHint"),
 
+  readyBtn: $("#readyBtn"),
   pauseBtn: $("#pauseBtn"),
   newBoardBtn: $("#newBoardBtn"),
+  retryBtn: $("#retryBtn"),
   backBtn: $("#backBtn"),
+  replayBtn: $("#replayBtn"),
+  copyLinkBtn: $("#copyLinkBtn"),
+  replayBar: $("#replayBar"),
+  helpBtn: $("#helpBtn"),
+
+  helpBackdrop: $("#helpBackdrop"),
+  helpModal: $("#helpModal"),
+  helpCloseBtn: $("#helpCloseBtn"),
+  hotkeyTable: $("#hotkeyTable"),
+  hotkeyResetBtn: $("#hotkeyResetBtn"),
 
   boardWrap: $("#boardWrap"),
   boardSvg: $("#boardSvg"),
   pausedOverlay: $("#pausedOverlay"),
+  countdownOverlay: $("#countdownOverlay"),
+  countdownText: $("#countdownText"),
+  resultOverlay: $("#resultOverlay"),
+  resultScore: $("#resultScore"),
+  resultDetail: $("#resultDetail"),
+
+  statsPanel: $("#statsPanel"),
+  statsSummary: $("#statsSummary"),
+  statsSlowest: $("#statsSlowest"),
+  statsMisses: $("#statsMisses"),
+  statsSplits: $("#statsSplits"),
+  heatmapToggle: $("#heatmapToggle"),
+
+  versusPill: $("#versusPill"),
+  versusCountdown: $("#versusCountdown"),
+  versusCountdownText: $("#versusCountdownText"),
+  versusResult: $("#versusResult"),
+  versusWinner: $("#versusWinner"),
+  versusDetail: $("#versusDetail"),
+  versusPauseBtn: $("#versusPauseBtn"),
+  versusRematchBtn: $("#versusRematchBtn"),
+  versusNewBtn: $("#versusNewBtn"),
+  versusHomeBtn: $("#versusHomeBtn"),
+
+  onlineJoin: $("#onlineJoin"),
+  onlineServerInput: $("#onlineServerInput"),
+  onlineNameInput: $("#onlineNameInput"),
+  onlineRoomInput: $("#onlineRoomInput"),
+  onlineJoinBtn: $("#onlineJoinBtn"),
+  onlineBackBtn: $("#onlineBackBtn"),
+  onlineLobby: $("#onlineLobby"),
+  onlineRoomTitle: $("#onlineRoomTitle"),
+  onlineStatus: $("#onlineStatus"),
+  onlinePlayers: $("#onlinePlayers"),
+  onlineSeedInput: $("#onlineSeedInput"),
+  onlineModeSelect: $("#onlineModeSelect"),
+  onlinePiecesSelect: $("#onlinePiecesSelect"),
+  onlineStartBtn: $("#onlineStartBtn"),
+  onlineLeaveBtn: $("#onlineLeaveBtn"),
+  racePanel: $("#racePanel"),
+  raceTitle: $("#raceTitle"),
+  raceStatus: $("#raceStatus"),
+  raceBars: $("#raceBars"),
+  raceLobbyBtn: $("#raceLobbyBtn"),
 };
 
 const PIECE_OPTIONS = [12, 20, 50, 100];
 const DEFAULT_PIECE_COUNT = 20;
-const MODE_OPTIONS = ["easy", "normal", "hard"];
+const MIN_PIECE_COUNT = 5;   // custom count range
+const MAX_PIECE_COUNT = 300;
+const MODE_OPTIONS = ["easy", "normal", "shuffle", "hard"];
 const DEFAULT_MODE = "normal";
-const FIXED_LLOYD_ITERS = 3;
-const WRONG_PENALTY_SEC = 10;
+const DEFAULT_SHAPE = "square"; // shapes: JC.BOARD_SHAPES, or a custom outline's "poly:..." code
+const RUN_TYPES = ["sprint", "timeAttack", "endless"]; // see records.js
+const DEFAULT_RUN = "sprint";
+const TIME_ATTACK_SEC = 60;
+const ENDLESS_LIVES = 3;
+const ORDER_OPTIONS = ["up", "down", "oddEven", "zigzag", "multiples"]; // click sequences
+const DEFAULT_ORDER = "up";
+const DEFAULT_SYMBOLS = "digits"; // see JC.SYMBOL_SETS
+const MIN_MULTIPLE = 2;
+const MAX_MULTIPLE = 10;
+const DEFAULT_MULTIPLE = 3;
+const DEFAULT_PROFILE = "uniform"; // board generator, see JC.TUNING_PROFILES (Lloyd passes live there too)
+const TUNING_LABELS = {
+  microFrac: "Clustered share",
+  alpha: "Cluster pull",
+  minDistFactor: "Min spacing",
+  kingStrength: "Open area",
+  structFrac: "Pattern share",
+  relaxIters: "Smoothing passes",
+};
+const WRONG_PENALTY_SEC = 10; // default / daily
+const PENALTY_SEC_OPTIONS = [5, 10, 20];
+const PENALTY_RULES = ["fixed", "escalating", "suddenDeath", "practice"]; // see records.js
+const DEFAULT_PENALTY_RULE = "fixed";
 const BOARD_SIZE = 1000;
-const STATE = { IDLE: "idle", PLAYING: "playing", PAUSED: "paused", FINISHED: "finished" };
+const REPLAY_SPEEDS = [1, 2, 4];
+const STUDY_OPTIONS = [0, 5, 10, 20]; // seconds of board preview before the timer starts
+const COUNTDOWN_SEC = 3;
+const SHUFFLE_EVERY = 5; // shuffle mode: correct clicks between reshuffles
+const STATE = {
+  IDLE: "idle",
+  STUDY: "study",         // board visible, clicks off, timer not started
+  COUNTDOWN: "countdown", // 3-2-1, board hidden
+  PLAYING: "playing",
+  PAUSED: "paused",
+  FINISHED: "finished",
+  REPLAY: "replay",
+};
 
 function gaEvent(name, params = {}) {
   if (typeof window.gtag === "function") window.gtag("event", name, params);
 }
 
-let game = {
-  state: STATE.IDLE,
-  config: null,
-  size: BOARD_SIZE,
-
-  // timing
-  startPerf: 0,
-  elapsedMs: 0,
-  timerId: null,
-
-  // run
-  current: 0,
-  next: 1,
-  total: 20,
-
-  // map num -> elements
-  numToPolygon: new Map(),
-  numToText: new Map(),
-  cellsGroupEl: null,
+// One board's play state. The page plays `game`; versus mode creates one per player.
+function createGameState() {
+  return {
+    state: STATE.IDLE,
+    config: null,
+    size: BOARD_SIZE,
+
+    // timing
+    startPerf: 0,
+    elapsedMs: 0,
+    penaltyMs: 0,
+    timerId: null,
+
+    // run: sequence = numbers to click in order, seqIdx = position of next in it
+    current: 0,
+    next: 1,
+    sequence: [],
+    seqIdx: 0,
+    total: 20,
+    wrongCount: 0,
+    newBest: false,
+    attempt: 0,        // how many times this exact board was started (records.js)
+    boardBest: false,  // beat own time on this board (retries only)
+    studied: false,    // had a study phase: Hard hides numbers from the first click on
+    missStreak: 0,     // consecutive wrong clicks (escalating penalty)
+    failed: false,     // sudden death: ended on a wrong click
+    score: 0,          // time attack / endless: correct clicks over the whole run
+    boardNo: 0,        // time attack: boards cleared so far
+    endReason: "",     // time attack / endless: time | lives | out
+    shuffleRand: null, // shuffle mode: run-seeded rng, so retries / replays shuffle the same way
+    preStartId: null,  // study phase / countdown interval
+    preStartLeft: 0,   // seconds left in the study phase / countdown
+    preStartRun: null, // { endPerf, onSecond, done } of the running pre-start
+    preStartHeldMs: null, // time left while help holds the pre-start
+    dailyOfficial: false, // this run is the first daily attempt of the day
+
+    // click log of the current run: { t, type: hit|miss|pause|resume, num?, x?, y?, penaltySec? }
+    // t = active play time in ms (pauses and penalties excluded)
+    events: [],
+    lastRun: null,
+
+    // map num -> elements
+    numToPolygon: new Map(),
+    numToText: new Map(),
+    cellsGroupEl: null,
+
+    // keyboard play: num -> cell label (board_gen) / nums sharing an edge, and the roving tab stop
+    labelPos: new Map(),
+    labelFontMax: 0, // largest label font on the board: cap when a cell's text changes
+    neighbors: new Map(),
+    focusNum: 0,
+
+    runSeedStr: "",
+    runGen: "", // generator of the accepted board: genCode, unless the quality gate repaired it
+  };
+}
 
-  runSeedStr: "",
-};
+let game = createGameState();
 
+function isValidPieceCount(n) {
+  return Number.isInteger(n) && n >= MIN_PIECE_COUNT && n <= MAX_PIECE_COUNT;
+}
 function getPieceCountFromRadios() {
   const picked = document.querySelector('input[name="pieceCount"]:checked');
+  if (picked?.value === "custom") {
+    const n = parseInt(els.customPieceInput.value, 10);
+    if (!Number.isFinite(n)) return DEFAULT_PIECE_COUNT;
+    return Math.max(MIN_PIECE_COUNT, Math.min(MAX_PIECE_COUNT, n));
+  }
   const val = parseInt(picked?.value || String(DEFAULT_PIECE_COUNT), 10);
   return PIECE_OPTIONS.includes(val) ? val : DEFAULT_PIECE_COUNT;
 }
 function setPieceCountRadios(n) {
+  if (!PIECE_OPTIONS.includes(n) && isValidPieceCount(n)) {
+    const custom = document.querySelector('input[name="pieceCount"][value="custom"]');
+    if (custom) custom.checked = true;
+    els.customPieceInput.value = String(n);
+    return;
+  }
   const v = PIECE_OPTIONS.includes(n) ? n : DEFAULT_PIECE_COUNT;
   const el = document.querySelector(`input[name="pieceCount"][value="${v}"]`);
   if (el) el.checked = true;
@@ -89,46 +252,498 @@ function setModeRadios(mode) {
   const el = document.querySelector(`input[name="mode"][value="${m}"]`);
   if (el) el.checked = true;
 }
+function isValidShape(shape) {
+  return JC.BOARD_SHAPES.includes(shape) || !!JC.parseShapePoints(shape);
+}
+// custom: corners typed as "x,y; x,y; ..." (any scale), kept as their "poly:..." code
+function getShapeFromRadios() {
+  const picked = document.querySelector('input[name="shape"]:checked');
+  if (picked?.value === "custom") {
+    const text = els.customShapeInput.value.replace(/\s+/g, "");
+    return JC.shapeCode(JC.parseShapePoints(`poly:${text}`) || []) || DEFAULT_SHAPE;
+  }
+  const v = String(picked?.value || DEFAULT_SHAPE).toLowerCase();
+  return JC.BOARD_SHAPES.includes(v) ? v : DEFAULT_SHAPE;
+}
+function setShapeRadios(shape) {
+  if (JC.parseShapePoints(shape)) {
+    const custom = document.querySelector('input[name="shape"][value="custom"]');
+    if (custom) custom.checked = true;
+    els.customShapeInput.value = shape.slice("poly:".length).replace(/;/g, "; ");
+    return;
+  }
+  const v = JC.BOARD_SHAPES.includes(shape) ? shape : DEFAULT_SHAPE;
+  const el = document.querySelector(`input[name="shape"][value="${v}"]`);
+  if (el) el.checked = true;
+}
+function getOrderFromRadios() {
+  const picked = document.querySelector('input[name="order"]:checked');
+  return ORDER_OPTIONS.includes(picked?.value) ? picked.value : DEFAULT_ORDER;
+}
+function getRunFromRadios() {
+  const picked = document.querySelector('input[name="run"]:checked');
+  return RUN_TYPES.includes(picked?.value) ? picked.value : DEFAULT_RUN;
+}
+function setRunRadios(run) {
+  const v = RUN_TYPES.includes(run) ? run : DEFAULT_RUN;
+  const el = document.querySelector(`input[name="run"][value="${v}"]`);
+  if (el) el.checked = true;
+}
+function isValidMultiple(k) {
+  return Number.isInteger(k) && k >= MIN_MULTIPLE && k <= MAX_MULTIPLE;
+}
+function getMultipleFromInput() {
+  const k = parseInt(els.multipleInput.value, 10);
+  return isValidMultiple(k) ? k : DEFAULT_MULTIPLE;
+}
+function setOrderRadios(order, k) {
+  const v = ORDER_OPTIONS.includes(order) ? order : DEFAULT_ORDER;
+  const el = document.querySelector(`input[name="order"][value="${v}"]`);
+  if (el) el.checked = true;
+  els.multipleInput.value = String(isValidMultiple(k) ? k : DEFAULT_MULTIPLE);
+}
+// one radio per registered symbol set (symbols.js)
+function renderSymbolChoices() {
+  for (const id of JC.SYMBOL_SETS) {
+    const label = document.createElement("label");
+    label.className = "choice";
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "symbols";
+    input.value = id;
+    input.checked = id === DEFAULT_SYMBOLS;
+    const span = document.createElement("span");
+    span.textContent = JC.symbolSetLabel(id);
+    label.append(input, span);
+    els.symbolsRow.appendChild(label);
+  }
+}
+function getSymbolsFromRadios() {
+  const picked = document.querySelector('input[name="symbols"]:checked');
+  return JC.SYMBOL_SETS.includes(picked?.value) ? picked.value : DEFAULT_SYMBOLS;
+}
+function setSymbolsRadios(symbols) {
+  const v = JC.SYMBOL_SETS.includes(symbols) ? symbols : DEFAULT_SYMBOLS;
+  const el = document.querySelector(`input[name="symbols"][value="${v}"]`);
+  if (el) el.checked = true;
+}
+// Sets too long to read on the selected board size (or in endless, which counts on) are greyed out
+function applySymbolLimits() {
+  const n = getPieceCountFromRadios();
+  const endless = getRunFromRadios() === "endless";
+  for (const input of document.querySelectorAll('input[name="symbols"]')) {
+    const fits = JC.symbolSetFits(input.value, n, endless);
+    input.disabled = !fits;
+    input.parentElement.title = fits ? "" : endless ? "Too long to read in endless" : "Too long to read on a board this size";
+    if (!fits && input.checked) setSymbolsRadios(DEFAULT_SYMBOLS);
+  }
+}
+
+// Sets with a limit (long Roman numerals) fall back to digits on bigger boards and in endless
+function withSymbolLimit(config) {
+  if (JC.symbolSetFits(config.symbols, config.pieceCount, config.run === "endless")) return config;
+  return { ...config, symbols: DEFAULT_SYMBOLS };
+}
+
+// How num is written on this board (cells, banner, screen reader)
+function symbolFor(num, g = game) {
+  return JC.formatSymbol(g.config?.symbols, num, g.runSeedStr);
+}
+
+// Advanced: board generator profile radios + the custom values (from JC.TUNING_LIMITS)
+function profileLabel(profile) {
+  return profile.charAt(0).toUpperCase() + profile.slice(1);
+}
+function renderProfileChoices() {
+  for (const id of JC.TUNING_PROFILES) {
+    const label = document.createElement("label");
+    label.className = "choice";
+    const input = document.createElement("input");
+    input.type = "radio";
+    input.name = "profile";
+    input.value = id;
+    input.checked = id === DEFAULT_PROFILE;
+    const span = document.createElement("span");
+    span.textContent = profileLabel(id);
+    label.append(input, span);
+    els.profileRow.appendChild(label);
+  }
+  const base = JC.resolveTuning(DEFAULT_PROFILE);
+  for (const [field, lim] of Object.entries(JC.TUNING_LIMITS)) {
+    const label = document.createElement("label");
+    label.className = "tuningField";
+    const span = document.createElement("span");
+    span.textContent = TUNING_LABELS[field] || field;
+    const input = document.createElement("input");
+    input.className = "numInput";
+    input.type = "number";
+    input.inputMode = "decimal";
+    input.min = String(lim.min);
+    input.max = String(lim.max);
+    input.step = String(lim.step);
+    input.value = String(base[field]);
+    input.dataset.field = field;
+    label.append(span, input);
+    els.tuningGrid.appendChild(label);
+  }
+}
+function getProfileFromRadios() {
+  const picked = document.querySelector('input[name="profile"]:checked');
+  return JC.TUNING_PROFILES.includes(picked?.value) ? picked.value : DEFAULT_PROFILE;
+}
+// custom values only (validated by board_gen), null for the named profiles
+function getTuningFromInputs() {
+  if (getProfileFromRadios() !== "custom") return null;
+  const tuning = {};
+  for (const input of els.tuningGrid.querySelectorAll("input")) tuning[input.dataset.field] = input.value;
+  return JC.resolveTuning("custom", tuning);
+}
+function setProfileRadios(profile, tuning) {
+  const v = JC.TUNING_PROFILES.includes(profile) ? profile : DEFAULT_PROFILE;
+  const el = document.querySelector(`input[name="profile"][value="${v}"]`);
+  if (el) el.checked = true;
+  if (v === "custom") {
+    const t = JC.resolveTuning("custom", tuning);
+    for (const input of els.tuningGrid.querySelectorAll("input")) input.value = String(t[input.dataset.field]);
+  }
+  applyTuningVisibility();
+}
+function applyTuningVisibility() {
+  els.tuningGrid.classList.toggle("hidden", getProfileFromRadios() !== "custom");
+}
+// "" for uniform boards; the same text goes into links, records and bests keys
+function genCode(config) {
+  return JC.tuningCode(config?.profile || DEFAULT_PROFILE, config?.tuning);
+}
+
+// A repaired board got extra Lloyd passes: name it as the custom tuning that builds it directly
+function acceptedGenCode(config, relaxIters) {
+  const tuning = JC.resolveTuning(config.profile, config.tuning);
+  if (tuning.relaxIters === relaxIters) return genCode(config);
+  return JC.tuningCode("custom", { ...tuning, relaxIters });
+}
+
+function getStudyFromRadios() {
+  const picked = document.querySelector('input[name="study"]:checked');
+  const v = Number(picked?.value || 0);
+  return STUDY_OPTIONS.includes(v) ? v : 0;
+}
+function setStudyRadios(sec) {
+  const v = STUDY_OPTIONS.includes(sec) ? sec : 0;
+  const el = document.querySelector(`input[name="study"][value="${v}"]`);
+  if (el) el.checked = true;
+}
+function getPenaltyRuleFromRadios() {
+  const picked = document.querySelector('input[name="penaltyRule"]:checked');
+  return PENALTY_RULES.includes(picked?.value) ? picked.value : DEFAULT_PENALTY_RULE;
+}
+function getPenaltySecFromRadios() {
+  const picked = document.querySelector('input[name="penaltySec"]:checked');
+  const v = Number(picked?.value || WRONG_PENALTY_SEC);
+  return PENALTY_SEC_OPTIONS.includes(v) ? v : WRONG_PENALTY_SEC;
+}
+function setPenaltyRadios(rule, sec) {
+  const r = PENALTY_RULES.includes(rule) ? rule : DEFAULT_PENALTY_RULE;
+  const v = PENALTY_SEC_OPTIONS.includes(sec) ? sec : WRONG_PENALTY_SEC;
+  const ruleEl = document.querySelector(`input[name="penaltyRule"][value="${r}"]`);
+  const secEl = document.querySelector(`input[name="penaltySec"][value="${v}"]`);
+  if (ruleEl) ruleEl.checked = true;
+  if (secEl) secEl.checked = true;
+}
+// Endless counts up forever and uses lives instead of time penalties
+function withRunRules(config) {
+  if (config.run !== "endless") return config;
+  return { ...config, order: DEFAULT_ORDER, penaltyRule: DEFAULT_PENALTY_RULE, wrongPenaltySec: WRONG_PENALTY_SEC };
+}
+
 function readConfigFromUI() {
-  return {
+  return withSymbolLimit(withRunRules({
     pieceCount: getPieceCountFromRadios(),
     mode: getModeFromRadios(),
+    shape: getShapeFromRadios(),
+    run: getRunFromRadios(),
+    order: getOrderFromRadios(),
+    multipleK: getMultipleFromInput(),
+    symbols: getSymbolsFromRadios(),
     seedStr: els.seedInput.value || "",
     showTimer: !!els.showTimerToggle.checked,
-    relaxIters: FIXED_LLOYD_ITERS,
+    studySec: getStudyFromRadios(),
+    countdown: !!els.countdownToggle.checked,
+    profile: getProfileFromRadios(),
+    tuning: getTuningFromInputs(),
+    penaltyRule: getPenaltyRuleFromRadios(),
+    wrongPenaltySec: getPenaltySecFromRadios(),
+    beatMs: null, // target time from a challenge link
+    daily: null,  // UTC day key when playing the daily board
+    minFairness: 0, // board_gen quality gate, off for normal play
+  }));
+}
+
+// Daily board: fixed seed / mode / pieces, everything else from the UI
+function readDailyConfig() {
+  const day = JC.dailyKey();
+  const board = JC.dailyBoard(day);
+  return {
+    ...readConfigFromUI(),
+    seedStr: board.seed,
+    mode: board.mode,
+    pieceCount: board.pieceCount,
+    shape: DEFAULT_SHAPE,
+    profile: DEFAULT_PROFILE,
+    tuning: null,
+    daily: day,
+    minFairness: board.minFairness,
+    qualityFix: "reject",
+    // everyone's daily time is under the same rules
+    run: DEFAULT_RUN,
+    order: DEFAULT_ORDER,
+    symbols: DEFAULT_SYMBOLS,
+    penaltyRule: DEFAULT_PENALTY_RULE,
     wrongPenaltySec: WRONG_PENALTY_SEC,
+    // no study time, and everyone gets the same 3-2-1 before the board shows
+    studySec: 0,
+    countdown: true,
   };
 }
 
+// Config for a challenge link in the current URL, or null (unknown n/mode fall back to the UI)
+function readConfigFromUrl() {
+  const c = JC.parseChallenge(window.location.search, window.location.hash);
+  if (!c) return null;
+  const base = readConfigFromUI();
+  const run = RUN_TYPES.includes(c.run) ? c.run : DEFAULT_RUN;
+  const gen = JC.parseTuningCode(c.gen);
+  return withSymbolLimit(withRunRules({
+    ...base,
+    seedStr: c.seed,
+    pieceCount: isValidPieceCount(c.pieceCount) ? c.pieceCount : base.pieceCount,
+    mode: MODE_OPTIONS.includes(c.mode) ? c.mode : base.mode,
+    shape: isValidShape(c.shape) ? c.shape : DEFAULT_SHAPE,
+    profile: gen.profile, // the link's generator, or the same seed is another board
+    tuning: gen.tuning,
+    // the link's order / rules (not the player's) so the beat time is comparable
+    order: ORDER_OPTIONS.includes(c.order) ? c.order : DEFAULT_ORDER,
+    multipleK: isValidMultiple(c.multipleK) ? c.multipleK : DEFAULT_MULTIPLE,
+    symbols: JC.SYMBOL_SETS.includes(c.symbols) ? c.symbols : DEFAULT_SYMBOLS,
+    penaltyRule: PENALTY_RULES.includes(c.rule) ? c.rule : DEFAULT_PENALTY_RULE,
+    wrongPenaltySec: PENALTY_SEC_OPTIONS.includes(c.penaltySec) ? c.penaltySec : WRONG_PENALTY_SEC,
+    run,
+    beatMs: run === DEFAULT_RUN ? c.beatMs : null, // scored runs have no time to beat
+  }));
+}
+
+function pageBaseUrl() {
+  return window.location.href.split(/[?#]/)[0];
+}
+
+function challengeUrlFor(beatMs) {
+  return JC.buildChallengeUrl(pageBaseUrl(), {
+    seed: game.runSeedStr,
+    pieceCount: game.total,
+    mode: game.config?.mode || DEFAULT_MODE,
+    shape: game.config?.shape || DEFAULT_SHAPE,
+    order: game.config?.order || DEFAULT_ORDER,
+    multipleK: game.config?.multipleK,
+    symbols: game.config?.symbols || DEFAULT_SYMBOLS,
+    rule: game.config?.penaltyRule || DEFAULT_PENALTY_RULE,
+    penaltySec: game.config?.wrongPenaltySec ?? WRONG_PENALTY_SEC,
+    run: runType(),
+    gen: game.runGen,
+    beatMs,
+  });
+}
+
+// Keep the address bar pointing at the board being played (reload / share = same board)
+function syncUrl(playing) {
+  if (typeof window.history?.replaceState !== "function") return;
+  const url = playing ? challengeUrlFor(game.config?.beatMs) : pageBaseUrl();
+  window.history.replaceState(null, "", url);
+}
+
 function syncStartSettingsFromConfig() {
-  if (!game.config) return;
+  // daily / online race boards never touch the player's own settings
+  if (!game.config || game.config.daily || game.config.raceNo) return;
   setPieceCountRadios(game.config.pieceCount ?? DEFAULT_PIECE_COUNT);
   setModeRadios(game.config.mode ?? DEFAULT_MODE); 
+  setShapeRadios(game.config.shape ?? DEFAULT_SHAPE);
+  setProfileRadios(game.config.profile, game.config.tuning);
+  setRunRadios(game.config.run);
+  setOrderRadios(game.config.order, game.config.multipleK);
+  setSymbolsRadios(game.config.symbols);
+  applySymbolLimits();
   els.seedInput.value = game.config.seedStr ?? "";
   els.showTimerToggle.checked = !!game.config.showTimer;
+  setStudyRadios(game.config.studySec ?? 0);
+  els.countdownToggle.checked = !!game.config.countdown;
+  setPenaltyRadios(game.config.penaltyRule, game.config.wrongPenaltySec);
 }
 
 function showStartScreen() {
   els.startScreen.classList.remove("hidden");
   els.gameScreen.classList.add("hidden");
+  els.versusScreen.classList.add("hidden");
+  els.onlineScreen.classList.add("hidden");
   syncStartSettingsFromConfig();
+  renderBests();
+  renderDailyInfo();
   setSeedShare("");
 }
 function showGameScreen() {
   els.startScreen.classList.add("hidden");
+  els.onlineScreen.classList.add("hidden");
   els.gameScreen.classList.remove("hidden");
 }
 
 function fmtTime(ms) {
-  const total = Math.max(0, ms);
-  const sec = total / 1000;
-  const m = Math.floor(sec / 60);
-  const s = sec - m * 60;
-  const sInt = Math.floor(s);
-  const tenths = Math.floor((s - sInt) * 10);
+  // integer tenths: avoids 42300ms showing as 00:42.2
+  const totalTenths = Math.floor(Math.max(0, ms) / 100);
+  const m = Math.floor(totalTenths / 600);
+  const sInt = Math.floor((totalTenths - m * 600) / 10);
+  const tenths = totalTenths % 10;
   return `${String(m).padStart(2, "0")}:${String(sInt).padStart(2, "0")}.${tenths}`;
 }
 
+function modeLabel(mode) {
+  const raw = String(mode || "normal").trim().toLowerCase();
+  if (raw === "shuffle") return "Shuffle";
+  return (raw === "easy") ? "Easy" : (raw === "hard") ? "Hard" : "Normal";
+}
+
+function shapeLabel(shape) {
+  if (JC.parseShapePoints(shape)) return "Custom shape";
+  const v = JC.BOARD_SHAPES.includes(shape) ? shape : DEFAULT_SHAPE;
+  return v.charAt(0).toUpperCase() + v.slice(1);
+}
+
+function runType(g = game) {
+  return g.config?.run || DEFAULT_RUN;
+}
+function isScoredRun() {
+  return runType() !== DEFAULT_RUN;
+}
+
+// "" for the plain sprint
+function runLabel(run) {
+  if (run === "timeAttack") return `${TIME_ATTACK_SEC}s attack`;
+  if (run === "endless") return "Endless";
+  return "";
+}
+
+// "" for the default 1..N
+function orderLabel(order, k) {
+  if (order === "down") return "N→1";
+  if (order === "oddEven") return "Odd, even";
+  if (order === "zigzag") return "Zigzag";
+  if (order === "multiples") return `×${k}`;
+  return "";
+}
+
+// Numbers to click, in order. Multiples leave the other pieces as decoys.
+function buildTargetSequence(order, n, k) {
+  const all = Array.from({ length: n }, (_, i) => i + 1);
+  if (order === "down") return all.reverse();
+  if (order === "oddEven") return all.filter((v) => v % 2 === 1).concat(all.filter((v) => v % 2 === 0));
+  if (order === "multiples") {
+    const step = Math.min(k || DEFAULT_MULTIPLE, n); // never an empty run
+    return all.filter((v) => v % step === 0);
+  }
+  if (order === "zigzag") {
+    const seq = [];
+    for (let lo = 1, hi = n; lo <= hi; lo++, hi--) {
+      seq.push(lo);
+      if (hi !== lo) seq.push(hi);
+    }
+    return seq;
+  }
+  return all;
+}
+
+// "Normal 20 · Circle · Endless · …": only what differs from the defaults
+function configLabel(config, total) {
+  const shape = config?.shape || DEFAULT_SHAPE;
+  const profile = config?.profile || DEFAULT_PROFILE;
+  const extras = [
+    shape !== DEFAULT_SHAPE ? shapeLabel(shape) : "",
+    profile !== DEFAULT_PROFILE ? (profile === "custom" ? "Custom board" : profileLabel(profile)) : "",
+    runLabel(config?.run || DEFAULT_RUN),
+    orderLabel(config?.order, config?.multipleK),
+    config?.symbols && config.symbols !== DEFAULT_SYMBOLS ? JC.symbolSetLabel(config.symbols) : "",
+    rulesLabel(config?.penaltyRule, config?.wrongPenaltySec),
+  ].filter(Boolean).map((t) => ` · ${t}`).join("");
+  return `${modeLabel(config?.mode)} ${total}${extras}`;
+}
+
+// "" for the default fixed +10s
+function rulesLabel(rule, sec) {
+  if (rule === "practice") return "Practice";
+  if (rule === "suddenDeath") return "Sudden death";
+  if (rule === "escalating") return `Escalating +${sec}s`;
+  return sec !== WRONG_PENALTY_SEC ? `+${sec}s` : "";
+}
+
+// Start screen: personal bests table (mode x pieces) for the selected board shape and rules
+function renderBests() {
+  const table = els.bestsTable;
+  if (!table) return;
+  const variant = recordVariant(readConfigFromUI());
+  // a custom piece count gets its own column while it is selected
+  const counts = [...PIECE_OPTIONS];
+  const picked = getPieceCountFromRadios();
+  if (!counts.includes(picked)) counts.push(picked);
+  counts.sort((a, b) => a - b);
+  while (table.firstChild) table.removeChild(table.firstChild);
+
+  const head = document.createElement("tr");
+  head.appendChild(document.createElement("th"));
+  for (const n of counts) {
+    const th = document.createElement("th");
+    th.textContent = String(n);
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+
+  for (const mode of MODE_OPTIONS) {
+    const row = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = modeLabel(mode);
+    row.appendChild(th);
+    for (const n of counts) {
+      const td = document.createElement("td");
+      const best = JC.getBest({ ...variant, mode, pieceCount: n });
+      if (best?.score != null) {
+        td.textContent = String(best.score); // scored runs keep no replay
+      } else if (best?.events) {
+        const btn = document.createElement("button");
+        btn.className = "bestReplay";
+        btn.title = "Watch replay";
+        btn.textContent = fmtTime(best.elapsedMs);
+        btn.addEventListener("click", () => {
+          showGameScreen();
+          startReplay(best);
+        });
+        td.appendChild(btn);
+      } else {
+        td.textContent = best ? fmtTime(best.elapsedMs) : "–";
+      }
+      row.appendChild(td);
+    }
+    table.appendChild(row);
+  }
+}
+
+function renderDailyInfo() {
+  if (!els.dailyInfo) return;
+  const results = JC.getDailyResults();
+  const today = JC.dailyKey();
+  const streak = JC.dailyStreak(results, today);
+  const done = results[today];
+
+  const parts = [`Streak ${streak}`];
+  if (!done) parts.push("Today: not played");
+  else parts.push(done.dnf ? "Today: DNF" : `Today ${fmtTime(done.elapsedMs)}`);
+  els.dailyInfo.textContent = parts.join(" · ");
+}
+
 function genAutoSeed() {
   // 足够短、可复制、基本不会撞
   return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
@@ -148,16 +763,46 @@ function setSeedShare(seedOrEmpty) {
   els.seedShare.classList.remove("hidden");
 }
 
+// time attack always shows its clock
+function isTimerShown() {
+  return !!game.config?.showTimer || runType() === "timeAttack";
+}
+
 function applyTimerVisibility() {
-  if (game.config?.showTimer) els.timeStat.classList.remove("hidden");
+  if (isTimerShown()) els.timeStat.classList.remove("hidden");
   else els.timeStat.classList.add("hidden");
+  els.scoreStat.classList.toggle("hidden", !isScoredRun());
+  els.livesStat.classList.toggle("hidden", runType() !== "endless");
+}
+
+function applyTargetVisibility() {
+  if (!els.targetStat) return;
+  const beat = game.config?.beatMs;
+  els.targetStat.classList.toggle("hidden", !beat);
+  if (beat) els.targetText.textContent = fmtTime(beat);
 }
 
 let bannerLockUntil = 0;
 
 function bannerBaseText() {
-  if (game.state === STATE.FINISHED) return "Done!";
-  return `Click ${game.next}`;
+  if (game.state === STATE.FINISHED) return finishedBannerText();
+  if (game.state === STATE.STUDY) return `Study ${game.preStartLeft}s`;
+  if (game.state === STATE.COUNTDOWN) return "Get ready";
+  return `Click ${symbolFor(game.next)}`;
+}
+
+function finishedBannerText() {
+  if (isScoredRun()) {
+    if (game.newBest && game.score > 0) return "New best!";
+    if (game.endReason === "lives") return "Game over";
+    return game.endReason === "out" ? "Out!" : "Time's up!";
+  }
+  if (game.failed) return "Out!";
+  const beat = game.config?.beatMs;
+  if (beat && game.elapsedMs <= beat) return "Beaten!";
+  if (game.dailyOfficial) return "Daily done!";
+  if (game.newBest) return "New best!";
+  return game.boardBest ? "Board best!" : "Done!";
 }
 
 function setBanner(text, kind = "") {
@@ -168,16 +813,41 @@ function setBanner(text, kind = "") {
   if (kind === "good") els.clickBanner.classList.add("good", "doneBanner");
 }
 
+// Screen-reader announcement; cleared first so a repeated "Wrong!" is read again
+let announceId = null;
+function announce(text) {
+  if (!els.srLive) return;
+  els.srLive.textContent = "";
+  if (announceId) window.clearTimeout(announceId);
+  announceId = window.setTimeout(() => { els.srLive.textContent = text; }, 50);
+}
+
+function currentElapsedMs() {
+  return game.elapsedMs + (game.state === STATE.PLAYING ? (performance.now() - game.startPerf) : 0);
+}
+
+// Time attack: ms left on the clock (penalties eat into it); Infinity otherwise
+function timeLeftMs() {
+  if (runType() !== "timeAttack") return Infinity;
+  return Math.max(0, TIME_ATTACK_SEC * 1000 - currentElapsedMs());
+}
+
 function updateHUD() {
-  if (game.config?.showTimer) {
-    const cur = game.elapsedMs + (game.state === STATE.PLAYING ? (performance.now() - game.startPerf) : 0);
-    els.timeText.textContent = fmtTime(cur);
+  const racing = isOnlineRace();
+  if (isTimerShown()) {
+    const left = timeLeftMs();
+    els.timeText.textContent = fmtTime(left === Infinity ? currentElapsedMs() : left);
+  }
+  if (isScoredRun()) {
+    els.scoreText.textContent = String(game.score);
+    const lives = Math.max(0, ENDLESS_LIVES - game.wrongCount);
+    els.livesText.textContent = "♥".repeat(lives) + "♡".repeat(ENDLESS_LIVES - lives);
   }
 
   // center banner: Click X / Done!
   if (game.state === STATE.FINISHED) {
     bannerLockUntil = 0;
-    setBanner("Done!", "good");
+    setBanner(finishedBannerText(), "good");
   } else {
     const now = performance.now();
     if (now >= bannerLockUntil) {
@@ -186,19 +856,42 @@ function updateHUD() {
   }
 
   if (els.modePill) {
-    const raw = String(game.config?.mode || "normal").trim().toLowerCase();
-    const modeName = (raw === "easy") ? "Easy" : (raw === "hard") ? "Hard" : "Normal";
-    els.modePill.textContent = `${modeName} ${game.total}`;
+    const prefix = game.config?.daily ? "Daily · " : "";
+    const tries = game.attempt > 1 ? ` · Try ${game.attempt}` : "";
+    els.modePill.textContent = `${prefix}${configLabel(game.config, game.total)}${tries}`;
     els.modePill.classList.toggle("done", game.state === STATE.FINISHED); // Done 后变绿
   }
 
   els.timeText.classList.toggle("doneTime", game.state === STATE.FINISHED);
+
+  if (els.replayBtn) {
+    const canReplay = game.lastRun?.events && (game.state === STATE.FINISHED || game.state === STATE.REPLAY);
+    els.replayBtn.classList.toggle("hidden", !canReplay);
+  }
+  if (els.replayBar) els.replayBar.classList.toggle("hidden", game.state !== STATE.REPLAY);
+  // a sudden-death loss or a scored run has no time worth beating
+  if (els.copyLinkBtn) {
+    els.copyLinkBtn.classList.toggle("hidden", game.state !== STATE.FINISHED || game.failed || isScoredRun());
+  }
+  if (els.retryBtn) els.retryBtn.classList.toggle("hidden", game.state === STATE.IDLE || !game.runSeedStr || racing);
+  // online race: no pausing or switching boards, the race panel shows everyone
+  els.pauseBtn.classList.toggle("hidden", racing);
+  els.newBoardBtn.classList.toggle("hidden", racing);
+  els.racePanel.classList.toggle("hidden", !racing);
 }
 
 function startTimer() {
   stopTimer();
   game.startPerf = performance.now();
-  game.timerId = window.setInterval(updateHUD, 60);
+  game.timerId = window.setInterval(tickTimer, 60);
+}
+function tickTimer() {
+  if (timeLeftMs() <= 0) {
+    game.endReason = "time";
+    finishGame();
+    return;
+  }
+  updateHUD();
 }
 function stopTimer() {
   if (game.timerId != null) {
@@ -213,6 +906,7 @@ function freezeElapsed() {
 }
 function addPenalty(seconds) {
   game.elapsedMs += seconds * 1000;
+  game.penaltyMs += seconds * 1000;
   updateHUD();
 }
 
@@ -220,7 +914,8 @@ let penaltyHideId = null;
 function showPenaltyHint(seconds) {
   if (!els.penaltyHint) return;
 
-  els.penaltyHint.textContent = `+${seconds}s`;
+  // time attack counts down, so a penalty takes time off
+  els.penaltyHint.textContent = `${runType() === "timeAttack" ? "−" : "+"}${seconds}s`;
   els.penaltyHint.classList.remove("hidden");
 
   // restart animation
@@ -243,31 +938,55 @@ function clearSvg(svg) {
   while (svg.firstChild) svg.removeChild(svg.firstChild);
 }
 
-function getFontSizeForN(n) {
-  const size = Math.round(225 / Math.sqrt(n));
-  return size;
+// Size the board box / viewBox to the outline; non-square outlines draw their own background
+function applyBoardOutline(svg, outline, g = game) {
+  const w = outline?.width || g.size;
+  const h = outline?.height || g.size;
+  const shaped = (g.config?.shape || DEFAULT_SHAPE) !== DEFAULT_SHAPE;
+
+  svg.setAttribute("viewBox", `0 0 ${w} ${h}`);
+  svg.parentElement.classList.toggle("shaped", shaped);
+  svg.parentElement.style.setProperty("--aspect", String(w / h));
+}
+
+function renderBoard(cells, outline) {
+  drawBoard(els.boardSvg, cells, outline, game, {
+    pick: "click",
+    onPick: onCellClick,
+    onFocus: (num) => setFocusCell(num, false),
+  });
+  resetFocusCell();
 }
 
-function renderBoard(cells) {
-  const svg = els.boardSvg;
+// Draws cells into svg and fills g's lookups (numToPolygon, labelPos, ...).
+// handlers: { pick: DOM event that picks a cell, onPick(num, ev), onFocus?(num) }
+function drawBoard(svg, cells, outline, g, handlers) {
   clearSvg(svg);
+  applyBoardOutline(svg, outline, g);
 
   // Border (always visible even when paused)
-  const border = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-  border.setAttribute("x", "0");
-  border.setAttribute("y", "0");
-  border.setAttribute("width", String(game.size));
-  border.setAttribute("height", String(game.size));
-  border.setAttribute("fill", "none");
+  let border;
+  if (outline && (g.config?.shape || DEFAULT_SHAPE) !== DEFAULT_SHAPE) {
+    border = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    border.setAttribute("d", `M ${outline.poly.map((p) => `${p[0]} ${p[1]}`).join(" L ")} Z`);
+    border.classList.add("boardOutline");
+  } else {
+    border = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    border.setAttribute("x", "0");
+    border.setAttribute("y", "0");
+    border.setAttribute("width", String(g.size));
+    border.setAttribute("height", String(g.size));
+    border.setAttribute("fill", "none");
+  }
   border.setAttribute("stroke", "rgba(44,125,255,0.30)");
   border.setAttribute("stroke-width", "3");
   svg.appendChild(border);
 
   // Root group (this is what pause hides)
   const root = document.createElementNS("http://www.w3.org/2000/svg", "g");
-  root.setAttribute("id", "cellsGroup");
+  root.classList.add("cellsGroup");
   svg.appendChild(root);
-  game.cellsGroupEl = root;
+  g.cellsGroupEl = root;
 
   // Layers: fill -> edges -> text
   const fillsG = document.createElementNS("http://www.w3.org/2000/svg", "g");
@@ -307,11 +1026,27 @@ function renderBoard(cells) {
       const b = poly[(i + 1) % poly.length];
       const k = edgeKey(a, b);
       let e = edgeMap.get(k);
-      if (!e) { e = { a, b, count: 0, c1: null, c2: null }; edgeMap.set(k, e); }
+      if (!e) { e = { a, b, count: 0, c1: null, c2: null, nums: [] }; edgeMap.set(k, e); }
       e.count++;
+      e.nums.push(cell.num);
     }
   }
 
+  // neighbours for arrow-key navigation: cells that share an edge
+  g.neighbors.clear();
+  g.labelPos.clear();
+  g.labelFontMax = Math.max(...cells.map((c) => c.label.fontSize));
+  for (const cell of cells) {
+    g.neighbors.set(cell.num, new Set());
+    g.labelPos.set(cell.num, cell.label);
+  }
+  for (const [, e] of edgeMap) {
+    if (e.count !== 2) continue;
+    const [p, q] = e.nums;
+    g.neighbors.get(p).add(q);
+    g.neighbors.get(q).add(p);
+  }
+
   // curve ONLY truly shared edges (count==2)
   for (const [k, e] of edgeMap) {
     if (e.count !== 2) continue;
@@ -322,7 +1057,7 @@ function renderBoard(cells) {
     if (len < 18) continue;
 
     const nx = -vy / len, ny = vx / len;
-    const r = rand01(game.runSeedStr + "|" + k);
+    const r = rand01(g.runSeedStr + "|" + k);
 
     // “一点点点”：幅度更保守，避免看起来像乱扭
     const amp = Math.min(4, 0.06 * len) * (r * 2 - 1);
@@ -352,10 +1087,8 @@ function renderBoard(cells) {
   }
 
   // map num -> elements
-  game.numToPolygon.clear();
-  game.numToText.clear();
-
-  const fontSize = getFontSizeForN(game.total);
+  g.numToPolygon.clear();
+  g.numToText.clear();
 
   // 1) draw fills (curved path for shared edges)
   for (const cell of cells) {
@@ -363,20 +1096,25 @@ function renderBoard(cells) {
     pathEl.setAttribute("d", polyToPathD(cell.poly));
     pathEl.classList.add("cell");
     pathEl.dataset.num = String(cell.num);
-    pathEl.addEventListener("click", () => onCellClick(cell.num));
+    pathEl.setAttribute("role", "button");
+    pathEl.setAttribute("tabindex", "-1");
+    // read the number at click time: endless / shuffle change it
+    pathEl.addEventListener(handlers.pick, (ev) => handlers.onPick(Number(pathEl.dataset.num), ev));
+    if (handlers.onFocus) pathEl.addEventListener("focus", () => handlers.onFocus(Number(pathEl.dataset.num)));
     fillsG.appendChild(pathEl);
-    game.numToPolygon.set(cell.num, pathEl);
+    g.numToPolygon.set(cell.num, pathEl);
 
     const textEl = document.createElementNS("http://www.w3.org/2000/svg", "text");
-    textEl.setAttribute("x", String(cell.centroid[0]));
-    textEl.setAttribute("y", String(cell.centroid[1]));
+    // label point / size come from board_gen (largest inscribed circle, fitted font)
+    textEl.setAttribute("x", String(cell.label.x));
+    textEl.setAttribute("y", String(cell.label.y));
     textEl.setAttribute("text-anchor", "middle");
     textEl.setAttribute("dominant-baseline", "middle");
     textEl.classList.add("cellText");
-    textEl.style.fontSize = `${fontSize}px`;
-    textEl.textContent = String(cell.num);
+    textEl.style.fontSize = `${cell.label.fontSize}px`;
+    textEl.textContent = symbolFor(cell.num, g);
     textsG.appendChild(textEl);
-    game.numToText.set(cell.num, textEl);
+    g.numToText.set(cell.num, textEl);
   }
 
   // 2) draw edges ONCE for ALL edges:
@@ -400,74 +1138,352 @@ function renderBoard(cells) {
   }
 }
 
-function applyHardTextRule() {
-  const hard = (game.config?.mode === "hard");
-  const hideAll = hard && game.state === STATE.PLAYING && game.current >= 1; // 仅游玩中隐藏
-  for (const [, t] of game.numToText) {
+function applyHardTextRule(g = game) {
+  const hard = (g.config?.mode === "hard");
+  const running = g.state === STATE.PLAYING || g.state === STATE.REPLAY;
+  // 仅游玩中隐藏; after a study phase Hard is pure memory from the start
+  const hideAll = hard && running && (g.seqIdx >= 1 || g.studied);
+  for (const [, t] of g.numToText) {
     if (!t) continue;
     t.style.display = hideAll ? "none" : "block";
   }
+  // accessible names say exactly what the board shows
+  for (const [num, p] of g.numToPolygon) {
+    let name = hideAll ? "Hidden piece" : `Piece ${symbolFor(num, g)}`;
+    if (p.classList.contains("easyDone")) name += ", done";
+    p.setAttribute("aria-label", name);
+  }
+}
+
+// -------------------------
+// Keyboard play: roving tab stop over the cells
+// -------------------------
+const ARROW_DIRS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+function setFocusCell(num, moveFocus = true, g = game) {
+  const prev = g.numToPolygon.get(g.focusNum);
+  const el = g.numToPolygon.get(num);
+  if (!el) return;
+  if (prev && prev !== el) prev.setAttribute("tabindex", "-1");
+  el.setAttribute("tabindex", "0");
+  g.focusNum = num;
+  if (moveFocus) el.focus();
+}
+
+// Closest label roughly in direction (dx, dy) among candidates, or 0
+function pickInDirection(fromNum, candidates, dx, dy, g = game) {
+  const from = g.labelPos.get(fromNum);
+  let best = 0, bestScore = Infinity;
+  for (const num of candidates) {
+    if (num === fromNum) continue;
+    const p = g.labelPos.get(num);
+    const vx = p.x - from.x, vy = p.y - from.y;
+    const along = vx * dx + vy * dy;
+    const across = Math.abs(vx * dy - vy * dx);
+    if (along <= 0 || across > along * 2) continue; // within ~63° of the arrow
+    const score = along + 2 * across;
+    if (score < bestScore) { bestScore = score; best = num; }
+  }
+  return best;
+}
+
+function moveFocusCell(dx, dy, g = game) {
+  const from = g.focusNum;
+  if (!g.labelPos.has(from)) return;
+  // neighbours first; across a hard boundary fall back to any cell that way
+  const next =
+    pickInDirection(from, g.neighbors.get(from) || [], dx, dy, g) ||
+    pickInDirection(from, g.labelPos.keys(), dx, dy, g);
+  if (next) setFocusCell(next, true, g);
+}
+
+// Tab enters the board at the top-left piece
+function resetFocusCell(g = game) {
+  let first = 0, bestScore = Infinity;
+  for (const [num, p] of g.labelPos) {
+    const score = p.x + p.y;
+    if (score < bestScore) { bestScore = score; first = num; }
+  }
+  g.focusNum = 0;
+  if (first) setFocusCell(first, false, g);
+}
+
+// onPick(num): what Enter / Space on a cell does (the game screen's click by default)
+function onBoardKeyDown(ev, g = game, onPick = (num) => onCellClick(num, null)) {
+  const num = Number(ev.target?.dataset?.num);
+  if (!num) return;
+
+  const dir = ARROW_DIRS[ev.key];
+  if (dir) {
+    ev.preventDefault();
+    moveFocusCell(dir[0], dir[1], g);
+  } else if (ev.key === "Enter" || ev.key === " ") {
+    ev.preventDefault();
+    onPick(num);
+  }
 }
 
-function setCellsVisible(visible) {
-  if (!game.cellsGroupEl) return;
-  game.cellsGroupEl.style.display = visible ? "block" : "none";
+function setCellsVisible(visible, g = game) {
+  if (!g.cellsGroupEl) return;
+  g.cellsGroupEl.style.display = visible ? "block" : "none";
 }
 
 function resetRunState(total) {
   game.total = total;
+  game.sequence = buildTargetSequence(game.config?.order, total, game.config?.multipleK);
+  game.seqIdx = 0;
   game.current = 0;
-  game.next = 1;
+  game.next = game.sequence[0];
+  game.wrongCount = 0;
+  game.newBest = false;
+  game.boardBest = false;
+  game.studied = false;
+  game.missStreak = 0;
+  game.failed = false;
+  game.score = 0;
+  game.boardNo = 0;
+  game.endReason = "";
+  game.shuffleRand = JC.makeRng(`${game.runSeedStr}|shuffle`).rand;
+  game.dailyOfficial = false;
+  game.events = [];
 
   game.elapsedMs = 0;
+  game.penaltyMs = 0;
   game.startPerf = 0;
   stopTimer();
+  stopReplay();
+  stopPreStart();
 
   els.boardWrap.classList.remove("flash-bad");
   els.pausedOverlay.classList.add("hidden");
+  els.resultOverlay.classList.add("hidden");
+  els.statsPanel.classList.add("hidden");
   els.pauseBtn.textContent = "Pause";
   bannerLockUntil = 0;
 
   updateHUD();
 }
 
-function startNewGame(config) {
+// boardSeed / boardGen: replay an exact board (Retry) without touching the config's own seed
+function startNewGame(config, boardSeed = "", boardGen = null) {
   game.config = config;
   els.boardWrap.classList.toggle("mode-hard", config.mode === "hard");
   applyTimerVisibility();
+  applyTargetVisibility();
 
   const userSeed = (config.seedStr || "").trim();
   const autoSeedUsed = (userSeed.length === 0);
-  const runSeed = autoSeedUsed ? genAutoSeed() : userSeed;
+  const runSeed = boardSeed || (autoSeedUsed ? genAutoSeed() : userSeed);
 
   game.runSeedStr = runSeed;
 
   // 用 runSeed 生成棋盘，但不污染用户配置（seed 为空时 New 仍会每次随机）
-  const runConfig = { ...config, seedStr: runSeed };
+  // boardSeed is an already accepted board, so the quality gate must not reseed it again
+  const runConfig = {
+    ...config,
+    seedStr: runSeed,
+    labelFor: (num, seedStr) => JC.formatSymbol(config.symbols, num, seedStr), // fits the font to the text
+    ...(boardSeed ? { minFairness: 0 } : {}),
+    ...(boardGen != null ? JC.parseTuningCode(boardGen) : {}),
+  };
 
   // 只有“用户没填 seed”时，才在底部显示 seed 方便复制
   setSeedShare(autoSeedUsed ? runSeed : "");
 
-  const { cells } = buildBoard(runConfig);
+  const { cells, outline, quality } = buildBoard(runConfig);
+
+  // a rejected board was rebuilt from a derived seed, a repaired one with more Lloyd passes;
+  // record that one so links / replays / Retry / records match
+  game.runSeedStr = quality.seedStr;
+  game.runGen = acceptedGenCode(runConfig, quality.relaxIters);
 
   game.total = config.pieceCount; // ensure font uses correct N
-  renderBoard(cells);
+  renderBoard(cells, outline);
   resetRunState(config.pieceCount);
   applyHardTextRule();
+  game.attempt = JC.startAttempt(currentBoardId());
+  // the day counts from the first start: leaving this run makes it a DNF
+  if (config.daily) game.dailyOfficial = JC.startDailyAttempt(config.daily, game.runSeedStr).official;
 
+  setCellsVisible(true);
+  syncUrl(true);
+  if (config.studySec > 0) startStudy(config.studySec);
+  else startCountdown();
+}
+
+// -------------------------
+// Pre-start: optional study phase (board visible, clicks off), then optional 3-2-1
+// -------------------------
+// owner: game or versus, each with its own preStartId / preStartLeft
+function clearPreStart(owner) {
+  if (owner.preStartId != null) {
+    window.clearInterval(owner.preStartId);
+    owner.preStartId = null;
+  }
+  owner.preStartHeldMs = null;
+}
+
+function stopPreStart() {
+  clearPreStart(game);
+  els.countdownOverlay.classList.add("hidden");
+  els.readyBtn.classList.add("hidden");
+}
+
+// Counts seconds down: onSecond(left) on each new whole second, done() at zero
+function runPreStart(owner, seconds, onSecond, done) {
+  clearPreStart(owner);
+  const endPerf = performance.now() + seconds * 1000;
+  const tick = () => {
+    const left = Math.ceil((endPerf - performance.now()) / 1000);
+    if (left <= 0) {
+      done();
+      return;
+    }
+    if (left !== owner.preStartLeft) {
+      owner.preStartLeft = left;
+      onSecond(left);
+    }
+  };
+  owner.preStartLeft = 0;
+  owner.preStartRun = { endPerf, onSecond, done };
+  owner.preStartId = window.setInterval(tick, 100);
+  tick();
+}
+
+// Help open: the study phase / countdown waits where it is
+function holdPreStart(owner) {
+  if (owner.preStartId == null) return;
+  const ms = owner.preStartRun.endPerf - performance.now();
+  clearPreStart(owner);
+  owner.preStartHeldMs = ms;
+}
+
+function releasePreStart(owner) {
+  if (owner.preStartHeldMs == null) return;
+  const { onSecond, done } = owner.preStartRun;
+  runPreStart(owner, owner.preStartHeldMs / 1000, onSecond, done);
+}
+
+function startStudy(seconds) {
+  stopPreStart();
+  game.state = STATE.STUDY;
+  game.studied = true;
+  applyHardTextRule();
+  announce(`Study the board, ${seconds} seconds`);
+  runPreStart(game, seconds, updateHUD, startCountdown);
+  els.readyBtn.classList.remove("hidden");
+}
+
+function startCountdown() {
+  if (!game.config?.countdown) {
+    beginPlay();
+    return;
+  }
+  stopPreStart();
+  game.state = STATE.COUNTDOWN;
+  setCellsVisible(false);
+  // online race: count down to the server's start time (less than 3s left when joining late)
+  const seconds = isOnlineRace() ? (online.startPerf - performance.now()) / 1000 : COUNTDOWN_SEC;
+  runPreStart(game, seconds, (left) => {
+    els.countdownOverlay.classList.remove("hidden"); // stopPreStart hid it with the phase before
+    els.countdownText.textContent = String(left);
+    announce(String(left));
+    updateHUD();
+  }, beginPlay);
+}
+
+function beginPlay() {
+  stopPreStart();
   game.state = STATE.PLAYING;
   setCellsVisible(true);
+  applyHardTextRule();
   startTimer();
   updateHUD();
+  announce(bannerBaseText());
+}
+
+// A config's board variant as records.js names its fields (bests / attempts keys)
+function recordVariant(config) {
+  return {
+    shape: config.shape || DEFAULT_SHAPE,
+    order: config.order || DEFAULT_ORDER,
+    multipleK: config.multipleK,
+    symbols: config.symbols || DEFAULT_SYMBOLS,
+    rule: config.penaltyRule || DEFAULT_PENALTY_RULE,
+    penaltySec: config.wrongPenaltySec ?? WRONG_PENALTY_SEC,
+    run: config.run || DEFAULT_RUN,
+    gen: genCode(config),
+    studySec: config.studySec || 0,
+  };
+}
+
+// Identifies the board for attempt counting (same seed in another mode is another practice run)
+function currentBoardId() {
+  return {
+    ...recordVariant(game.config || {}),
+    seed: game.runSeedStr,
+    mode: game.config?.mode,
+    pieceCount: game.total,
+    run: runType(),
+    gen: game.runGen,
+  };
 }
 
 function finishGame() {
   freezeElapsed();
   stopTimer();
   game.state = STATE.FINISHED;
+  if (runType() === "timeAttack") game.elapsedMs = Math.min(game.elapsedMs, TIME_ATTACK_SEC * 1000);
+
+  const scored = isScoredRun();
+  const prevBoardBest = JC.getAttempts(currentBoardId())?.bestMs;
+  game.boardBest = !scored && game.attempt > 1 && (prevBoardBest == null || game.elapsedMs < prevBoardBest);
+
+  const { isBest, prevBest, entry } = JC.saveRun({
+    seed: game.runSeedStr,
+    mode: game.config?.mode,
+    pieceCount: game.total,
+    shape: game.config?.shape,
+    elapsedMs: game.elapsedMs,
+    wrongCount: game.wrongCount,
+    order: game.config?.order || DEFAULT_ORDER,
+    multipleK: game.config?.multipleK,
+    symbols: game.config?.symbols || DEFAULT_SYMBOLS,
+    rule: game.config?.penaltyRule || DEFAULT_PENALTY_RULE,
+    penaltySec: game.config?.wrongPenaltySec ?? WRONG_PENALTY_SEC,
+    failed: game.failed,
+    attempt: game.attempt,
+    studySec: game.studied ? game.config.studySec : 0,
+    run: runType(),
+    gen: game.runGen,
+    score: game.score,
+    // the log of a scored run spans boards / renumbered cells the replay can't rebuild
+    events: scored ? null : game.events,
+  });
+  game.newBest = isBest;
+  game.lastRun = entry;
+  sendRaceProgress();
+
+  if (game.dailyOfficial) {
+    game.dailyOfficial = JC.saveDailyResult(game.config.daily, entry).official;
+  }
+
   applyHardTextRule();
   updateHUD();
+  if (scored) {
+    showScoreResult(prevBest?.score);
+    announce(`${finishedBannerText()} Score ${game.score}`);
+    return;
+  }
+  showRunStats(entry.events);
+  announce(`${finishedBannerText()} ${fmtTime(game.elapsedMs)}`);
 
+  if (game.failed) return;
   gaEvent("game_complete", {
     piece_count: game.total,             // 12/20/50/100
     mode: game.config?.mode || "unknown",
@@ -476,7 +1492,8 @@ function finishGame() {
 }
 
 function pauseGame() {
-  if (game.state !== STATE.PLAYING) return;
+  if (game.state !== STATE.PLAYING || isOnlineRace()) return; // the race doesn't wait
+  recordEvent("pause");
   freezeElapsed();
   stopTimer();
   game.state = STATE.PAUSED;
@@ -496,87 +1513,1313 @@ function resumeGame() {
   els.pauseBtn.textContent = "Pause";
 
   startTimer();
+  recordEvent("resume");
   updateHUD();
 }
 
-function flashWrong() {
-  els.boardWrap.classList.remove("flash-bad");
-  void els.boardWrap.offsetWidth;
-  els.boardWrap.classList.add("flash-bad");
+function flashWrong(wrap = els.boardWrap) {
+  wrap.classList.remove("flash-bad");
+  void wrap.offsetWidth;
+  wrap.classList.add("flash-bad");
 }
 
-function showWrongHint() {
+// versus boards (g.bannerEl) keep their own banner, held a little longer
+function showWrongHint(g = game) {
+  if (g.bannerEl) {
+    g.bannerUntil = performance.now() + 500;
+    g.bannerEl.textContent = "Wrong!";
+    return;
+  }
   bannerLockUntil = performance.now() + 180;
   setBanner("Wrong!", "bad");
 }
 
-function onCellClick(num) {
-  if (game.state !== STATE.PLAYING) return;
+// Board coordinates (viewBox units) of a pointer event, or null if unknown
+function boardPointFromEvent(ev, svg = els.boardSvg) {
+  const ctm = svg.getScreenCTM?.();
+  if (!ev || !ctm || typeof ev.clientX !== "number") return null;
+  const pt = svg.createSVGPoint();
+  pt.x = ev.clientX;
+  pt.y = ev.clientY;
+  const p = pt.matrixTransform(ctm.inverse());
+  return [Math.round(p.x * 10) / 10, Math.round(p.y * 10) / 10];
+}
 
-  if (num === game.next) {
-    const polyEl = game.numToPolygon.get(num);
-    const textEl = game.numToText.get(num);
+function recordEvent(type, num, at, extra) {
+  const ev = { t: Math.round(currentElapsedMs() - game.penaltyMs), type };
+  if (num != null) ev.num = num;
+  if (at) { ev.x = at[0]; ev.y = at[1]; }
+  game.events.push(extra ? { ...ev, ...extra } : ev);
+}
 
-    if (polyEl) {
-      polyEl.classList.add("hit");
-      window.setTimeout(() => polyEl.classList.remove("hit"), 160);
-    }
-    if (textEl) {
-      textEl.classList.add("done");
-      window.setTimeout(() => textEl.classList.remove("done"), 160);
-    }
+// Correct pick: feedback + advance (shared by live play and replay)
+function showHit(num, g = game) {
+  const polyEl = g.numToPolygon.get(num);
+  const textEl = g.numToText.get(num);
 
-    game.current = num;
-    game.next = num + 1;
-    bannerLockUntil = 0;
+  if (polyEl) {
+    polyEl.classList.add("hit");
+    window.setTimeout(() => polyEl.classList.remove("hit"), 160);
+  }
+  if (textEl) {
+    textEl.classList.add("done");
+    window.setTimeout(() => textEl.classList.remove("done"), 160);
+  }
 
-    // Easy: mark cell permanently
-    if (game.config?.mode === "easy" && polyEl) {
-      polyEl.classList.add("easyDone");
-    }
+  g.current = num;
+  g.seqIdx++;
+  g.score++;
+  if (runType(g) === "endless") {
+    // the cleared cell comes back N higher, so the sequence never runs out
+    g.sequence.push(num + g.total);
+    renumberCell(num, num + g.total, g);
+  }
+  g.next = g.sequence[g.seqIdx] ?? 0; // 0 once the sequence is done
+  bannerLockUntil = 0;
+  if (shuffleDue(g)) shuffleRemaining(g);
 
-    // Hard: after clicking 1, hide unfinished numbers; after each correct click, reveal only finished ones
-    applyHardTextRule();
+  // Easy: mark cell permanently
+  if (g.config?.mode === "easy" && polyEl && runType(g) !== "endless") {
+    polyEl.classList.add("easyDone");
+  }
 
-    if (game.next > game.total) {
-      finishGame();
+  // Hard: after clicking 1, hide unfinished numbers; after each correct click, reveal only finished ones
+  applyHardTextRule(g);
+}
+
+// Wrong pick: feedback only (the caller applies the penalty)
+function showMiss(num, g = game) {
+  const textEl = g.numToText.get(num);
+  if (textEl) {
+    textEl.classList.add("wrong");
+    window.setTimeout(() => textEl.classList.remove("wrong"), 180);
+  }
+  flashWrong(g.wrap);
+  showWrongHint(g);
+}
+
+// Live picks on g's board, shared by the game screen and versus boards
+function registerHit(num, g = game) {
+  g.missStreak = 0;
+  showHit(num, g);
+}
+
+// -> seconds of penalty under g's rules; the caller adds them to its own clock
+function registerMiss(num, g = game) {
+  const sec = penaltyForMiss(g);
+  g.wrongCount++;
+  g.missStreak++;
+  showMiss(num, g);
+  return sec;
+}
+
+// Sudden death: one wrong pick ends the run
+function missEndsRun(g = game) {
+  return g.config.penaltyRule === "suddenDeath";
+}
+
+// What a screen reader hears after a wrong pick that didn't end the run
+function missText(sec, g = game) {
+  if (runType(g) === "endless") {
+    const lives = ENDLESS_LIVES - g.wrongCount;
+    return `Wrong! ${lives} ${lives === 1 ? "life" : "lives"} left.`;
+  }
+  return sec > 0 ? `Wrong! Plus ${sec} second${sec === 1 ? "" : "s"}.` : "Wrong!";
+}
+
+function onCellClick(num, ev) {
+  if (game.state !== STATE.PLAYING) return;
+  const at = boardPointFromEvent(ev);
+
+  if (num === game.next) {
+    recordEvent("hit", num, at);
+    registerHit(num);
+    if (game.seqIdx < game.sequence.length) sendRaceProgress(); // the last one goes out with the finish
+
+    if (game.seqIdx >= game.sequence.length) {
+      if (runType() !== "timeAttack") {
+        finishGame();
+        return;
+      }
+      nextAttackBoard();
+      updateHUD();
+      announce(`New board. ${bannerBaseText()}`);
       return;
     }
     updateHUD();
+    announce(`${shuffleDue() ? "Shuffled. " : ""}${bannerBaseText()}`);
   } else {
-    const textEl = game.numToText.get(num);
-    if (textEl) {
-      textEl.classList.add("wrong");
-      window.setTimeout(() => textEl.classList.remove("wrong"), 180);
+    const sec = registerMiss(num);
+    recordEvent("miss", num, at, { penaltySec: sec });
+
+    if (missEndsRun()) {
+      // a scored run keeps its score, a sprint has no time
+      if (isScoredRun()) game.endReason = "out";
+      else game.failed = true;
+      finishGame();
+      return;
+    }
+    if (runType() === "endless") {
+      if (game.wrongCount >= ENDLESS_LIVES) {
+        game.endReason = "lives";
+        finishGame();
+        return;
+      }
+      updateHUD();
+    } else if (sec > 0) {
+      addPenalty(sec);
+      showPenaltyHint(sec);
+      if (timeLeftMs() <= 0) {
+        game.endReason = "time";
+        finishGame();
+        return;
+      }
     }
-    flashWrong();
-    showWrongHint();
-    addPenalty(game.config.wrongPenaltySec);
-    showPenaltyHint(game.config.wrongPenaltySec);
+    announce(`${missText(sec)} ${bannerBaseText()}`);
   }
 }
 
-els.startBtn.addEventListener("click", () => {
-  const config = readConfigFromUI();
-  showGameScreen();
-  startNewGame(config);
-});
+// Seconds added for the wrong click about to happen (missStreak = misses before it)
+function penaltyForMiss(g = game) {
+  const rule = g.config.penaltyRule;
+  const sec = g.config.wrongPenaltySec;
+  if (rule === "practice" || rule === "suddenDeath" || runType(g) === "endless") return 0;
+  if (rule === "escalating") return sec * (g.missStreak + 1);
+  return sec;
+}
 
-els.pauseBtn.addEventListener("click", () => {
-  if (game.state === STATE.PLAYING) pauseGame();
-  else if (game.state === STATE.PAUSED) resumeGame();
-});
+// -------------------------
+// Scored runs: time attack (fresh board per clear) and endless (cleared cells renumbered)
+// -------------------------
+
+// Time attack: next board of the run, derived from the run seed so Retry replays the same chain
+function nextAttackBoard() {
+  const keyboard = els.boardSvg.contains(document.activeElement);
+  game.boardNo++;
+  const { cells, outline } = buildBoard({
+    ...game.config,
+    seedStr: `${game.runSeedStr}/${game.boardNo}`,
+    minFairness: 0,
+    labelFor: (num) => symbolFor(num),
+  });
+  renderBoard(cells, outline);
 
-els.newBoardBtn.addEventListener("click", () => {
-  if (!game.config) return;
-  startNewGame(game.config);
-});
+  game.sequence = buildTargetSequence(game.config.order, game.total, game.config.multipleK);
+  game.seqIdx = 0;
+  game.current = 0;
+  game.next = game.sequence[0];
+  game.studied = false; // only the first board had a study phase
+  applyHardTextRule();
+  if (keyboard) setFocusCell(game.focusNum);
+}
+
+// Endless: a cleared cell shows a new number
+function renumberCell(oldNum, newNum, g = game) {
+  relabelCells(new Map([[oldNum, newNum]]), g);
+}
+
+function showScoreResult(prevBestScore) {
+  const perMin = game.elapsedMs > 0 ? (game.score * 60000) / game.elapsedMs : 0;
+  const parts = [];
+  if (runType() === "timeAttack") parts.push(`${game.boardNo} board${game.boardNo === 1 ? "" : "s"} cleared`);
+  else parts.push(fmtTime(game.elapsedMs));
+  parts.push(`${perMin.toFixed(1)} per minute`, `${game.wrongCount} wrong`);
+  if (prevBestScore != null && !game.newBest) parts.push(`best ${prevBestScore}`);
+
+  els.resultScore.textContent = String(game.score);
+  els.resultDetail.textContent = parts.join(" · ");
+  els.resultOverlay.classList.remove("hidden");
+}
+
+// -------------------------
+// Changing numbers in play (endless, shuffle mode)
+// -------------------------
+
+// moves: old num -> new num (a permutation, or onto numbers not on the board); the cells stay,
+// their numbers / text / lookups follow, fonts are refitted to the new text
+function relabelCells(moves, g = game) {
+  const renum = (num) => moves.get(num) ?? num;
+  const rekey = (map) => {
+    const moved = [...moves.keys()].filter((num) => map.has(num)).map((num) => [renum(num), map.get(num)]);
+    for (const num of moves.keys()) map.delete(num);
+    for (const [num, v] of moved) map.set(num, v);
+  };
+  rekey(g.numToPolygon);
+  rekey(g.numToText);
+  rekey(g.labelPos);
+  rekey(g.neighbors);
+  for (const [, near] of g.neighbors) {
+    const nums = [...near];
+    near.clear();
+    for (const num of nums) near.add(renum(num));
+  }
+  g.focusNum = renum(g.focusNum);
+
+  for (const num of moves.values()) {
+    const text = symbolFor(num, g);
+    const textEl = g.numToText.get(num);
+    g.numToPolygon.get(num).dataset.num = String(num);
+    textEl.textContent = text;
+    textEl.style.fontSize = `${JC.fitLabelFont(g.labelPos.get(num), text, g.labelFontMax)}px`;
+  }
+}
+
+// Shuffle mode: numbers not clicked yet trade places among their cells
+function shuffleRemaining(g = game) {
+  const done = new Set(g.sequence.slice(0, g.seqIdx));
+  const left = [...g.numToPolygon.keys()].filter((num) => !done.has(num)).sort((a, b) => a - b);
+  const shuffled = JC.shuffleInPlace(left.slice(), g.shuffleRand);
+  relabelCells(new Map(left.map((num, i) => [num, shuffled[i]])), g);
+
+  for (const num of left) {
+    const textEl = g.numToText.get(num);
+    textEl.classList.add("shuffled");
+    window.setTimeout(() => textEl.classList.remove("shuffled"), 350);
+  }
+}
+
+// after every SHUFFLE_EVERY-th correct click, unless the run is over
+function shuffleDue(g = game) {
+  return g.config?.mode === "shuffle" && !!g.next && g.seqIdx % SHUFFLE_EVERY === 0;
+}
+
+// -------------------------
+// Post-game analysis: splits, slowest steps, wrong clicks, heatmap on the board
+// -------------------------
+let runStats = null; // JC.analyzeRun of the finished run on screen
+
+function fmtSec(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// pale yellow (quick) -> red (slowest)
+function heatColor(ratio) {
+  const r = Math.max(0, Math.min(1, ratio));
+  return `hsl(${Math.round(50 - 50 * r)}, 90%, ${Math.round(86 - 26 * r)}%)`;
+}
+
+function showRunStats(events) {
+  runStats = JC.analyzeRun(events);
+  const { splits, slowest, misses, searchMs, penaltyMs } = runStats;
+  const maxMs = Math.max(1, ...splits.map((s) => s.ms));
+
+  const summary = [`Search ${fmtTime(searchMs)}`, `Penalties ${fmtTime(penaltyMs)}`];
+  if (splits.length) summary.push(`avg ${fmtSec(searchMs / splits.length)} per number`);
+  els.statsSummary.textContent = summary.join(" · ");
+
+  while (els.statsSlowest.firstChild) els.statsSlowest.removeChild(els.statsSlowest.firstChild);
+  for (const s of slowest) {
+    const li = document.createElement("li");
+    li.textContent = `${s.from ? symbolFor(s.from) : "Start"} → ${symbolFor(s.num)}: ${fmtSec(s.ms)}`;
+    els.statsSlowest.appendChild(li);
+  }
+
+  els.statsMisses.textContent = misses.length
+    ? misses.map((m) => (m.target ? `${symbolFor(m.num)} (looking for ${symbolFor(m.target)})` : symbolFor(m.num))).join(", ")
+    : "None";
+
+  while (els.statsSplits.firstChild) els.statsSplits.removeChild(els.statsSplits.firstChild);
+  for (const s of splits) {
+    const chip = document.createElement("span");
+    chip.className = "splitChip";
+    chip.style.background = heatColor(s.ms / maxMs);
+    chip.textContent = `${symbolFor(s.num)} ${fmtSec(s.ms)}`;
+    els.statsSplits.appendChild(chip);
+  }
+
+  els.statsPanel.classList.remove("hidden");
+  applyHeatmap();
+}
+
+// Colors found cells by their split and marks wrong clicks (only while the toggle is on)
+function applyHeatmap() {
+  els.boardSvg.querySelector("#missMarks")?.remove();
+  for (const [, p] of game.numToPolygon) p.style.fill = "";
+  if (!runStats || !els.heatmapToggle.checked || els.statsPanel.classList.contains("hidden")) return;
+
+  const maxMs = Math.max(1, ...runStats.splits.map((s) => s.ms));
+  for (const s of runStats.splits) {
+    const p = game.numToPolygon.get(s.num);
+    if (p) p.style.fill = heatColor(s.ms / maxMs);
+  }
+
+  const marks = document.createElementNS("http://www.w3.org/2000/svg", "g");
+  marks.setAttribute("id", "missMarks");
+  for (const m of runStats.misses) {
+    // keyboard misses have no pointer position: mark the piece instead
+    const label = game.labelPos.get(m.num);
+    if (m.x == null && !label) continue;
+    const dot = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+    dot.setAttribute("cx", String(m.x ?? label.x));
+    dot.setAttribute("cy", String(m.y ?? label.y));
+    dot.setAttribute("r", "12");
+    dot.classList.add("missMark");
+    marks.appendChild(dot);
+  }
+  els.boardSvg.appendChild(marks);
+}
+
+// -------------------------
+// Replay: re-render the run's seeded board and play its click log back
+// -------------------------
+let replay = null; // { events, idx, clockMs, lastPerf, timerId }
+let replaySpeed = REPLAY_SPEEDS[0];
+
+function showReplayTap(ev) {
+  let x = ev.x, y = ev.y;
+  if (x == null || y == null) {
+    // older logs / synthetic clicks: fall back to the label position
+    const textEl = game.numToText.get(ev.num);
+    if (!textEl) return;
+    x = Number(textEl.getAttribute("x"));
+    y = Number(textEl.getAttribute("y"));
+  }
+  const dot = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+  dot.setAttribute("cx", String(x));
+  dot.setAttribute("cy", String(y));
+  dot.setAttribute("r", "14");
+  dot.classList.add("replayTap", ev.type === "miss" ? "bad" : "good");
+  els.boardSvg.appendChild(dot);
+  window.setTimeout(() => dot.remove(), 600);
+}
+
+function applyReplayEvent(ev) {
+  if (ev.type === "hit") {
+    showReplayTap(ev);
+    showHit(ev.num);
+  } else if (ev.type === "miss") {
+    const sec = ev.penaltySec ?? WRONG_PENALTY_SEC;
+    showReplayTap(ev);
+    showMiss(ev.num);
+    game.penaltyMs += sec * 1000;
+    if (sec > 0) showPenaltyHint(sec);
+  }
+}
+
+function tickReplay() {
+  if (!replay) return;
+  const now = performance.now();
+  replay.clockMs += (now - replay.lastPerf) * replaySpeed;
+  replay.lastPerf = now;
+
+  const evs = replay.events;
+  while (replay.idx < evs.length && evs[replay.idx].t <= replay.clockMs) {
+    applyReplayEvent(evs[replay.idx++]);
+  }
+
+  if (replay.idx >= evs.length) {
+    // stop the clock exactly on the last click
+    game.elapsedMs = (evs.length ? evs[evs.length - 1].t : 0) + game.penaltyMs;
+    stopReplay();
+    game.state = STATE.FINISHED;
+    applyHardTextRule();
+    showRunStats(game.lastRun.events);
+  } else {
+    game.elapsedMs = replay.clockMs + game.penaltyMs;
+  }
+  updateHUD();
+}
+
+function stopReplay() {
+  if (!replay) return;
+  window.clearInterval(replay.timerId);
+  replay = null;
+}
+
+function startReplay(run) {
+  stopTimer();
+  stopReplay();
+
+  // keep the player's own settings (seed box etc.), take the board parameters from the run
+  const gen = JC.parseTuningCode(run.gen);
+  game.config = {
+    ...(game.config || readConfigFromUI()),
+    mode: run.mode,
+    pieceCount: run.pieceCount,
+    shape: run.shape || DEFAULT_SHAPE,
+    profile: gen.profile,
+    tuning: gen.tuning,
+    run: DEFAULT_RUN, // only sprints keep a click log
+    order: run.order || DEFAULT_ORDER,
+    multipleK: run.multipleK,
+    symbols: run.symbols || DEFAULT_SYMBOLS,
+    penaltyRule: run.rule || DEFAULT_PENALTY_RULE,
+    wrongPenaltySec: run.penaltySec ?? WRONG_PENALTY_SEC,
+    beatMs: null,
+    daily: null,
+    minFairness: 0, // run.seed is already the accepted board
+  };
+  game.lastRun = run;
+  els.boardWrap.classList.toggle("mode-hard", run.mode === "hard");
+  applyTimerVisibility();
+  applyTargetVisibility();
+
+  game.runSeedStr = run.seed;
+  game.runGen = genCode(game.config);
+  setSeedShare(run.seed);
+
+  const { cells, outline } = buildBoard({
+    ...game.config,
+    seedStr: run.seed,
+    labelFor: (num, seedStr) => JC.formatSymbol(game.config.symbols, num, seedStr),
+  });
+  game.total = run.pieceCount;
+  renderBoard(cells, outline);
+  resetRunState(run.pieceCount);
+  game.attempt = run.attempt || 0;
+  game.studied = run.studySec > 0;
+  game.failed = !!run.failed;
+
+  game.state = STATE.REPLAY;
+  setCellsVisible(true);
+  applyHardTextRule();
+
+  // pause/resume entries need no playback: t already excludes paused time
+  replay = {
+    events: (run.events || []).filter((ev) => ev.type === "hit" || ev.type === "miss"),
+    idx: 0,
+    clockMs: 0,
+    lastPerf: performance.now(),
+    timerId: window.setInterval(tickReplay, 30),
+  };
+  updateHUD();
+}
+
+function setReplaySpeed(speed) {
+  replaySpeed = REPLAY_SPEEDS.includes(speed) ? speed : REPLAY_SPEEDS[0];
+  if (!els.replayBar) return;
+  for (const b of els.replayBar.querySelectorAll("[data-speed]")) {
+    b.classList.toggle("active", Number(b.dataset.speed) === replaySpeed);
+  }
+}
 
-els.backBtn.addEventListener("click", () => {
+els.startBtn.addEventListener("click", () => {
+  const config = readConfigFromUI();
+  showGameScreen();
+  startNewGame(config);
+});
+
+renderSymbolChoices();
+applySymbolLimits();
+renderProfileChoices();
+
+// bests table follows the selected shape, run type, order, symbols, penalty rules, generator,
+// study time and custom piece count
+for (const el of document.querySelectorAll(
+  'input[name="shape"], input[name="run"], input[name="order"], input[name="symbols"], ' +
+  'input[name="penaltyRule"], input[name="penaltySec"], input[name="profile"], input[name="study"], ' +
+  'input[name="pieceCount"]'
+)) {
+  el.addEventListener("change", renderBests);
+}
+for (const el of document.querySelectorAll('input[name="profile"]')) {
+  el.addEventListener("change", applyTuningVisibility);
+}
+// custom values are clamped to their steps; show what the board will use
+for (const input of els.tuningGrid.querySelectorAll("input")) {
+  input.addEventListener("change", () => {
+    const t = JC.resolveTuning("custom", { [input.dataset.field]: input.value });
+    input.value = String(t[input.dataset.field]);
+    renderBests();
+  });
+}
+
+// typing a multiple selects "multiples"
+els.multipleInput.addEventListener("focus", () => {
+  const multiples = document.querySelector('input[name="order"][value="multiples"]');
+  if (multiples) multiples.checked = true;
+});
+els.multipleInput.addEventListener("change", renderBests);
+
+// typing corners selects the custom shape
+els.customShapeInput.addEventListener("focus", () => {
+  const custom = document.querySelector('input[name="shape"][value="custom"]');
+  if (custom) custom.checked = true;
+});
+els.customShapeInput.addEventListener("change", renderBests);
+
+// typing a custom count selects the "custom" choice
+els.customPieceInput.addEventListener("focus", () => {
+  const custom = document.querySelector('input[name="pieceCount"][value="custom"]');
+  if (custom) custom.checked = true;
+});
+els.customPieceInput.addEventListener("change", () => {
+  applySymbolLimits();
+  renderBests();
+});
+for (const el of document.querySelectorAll('input[name="pieceCount"], input[name="run"]')) {
+  el.addEventListener("change", applySymbolLimits);
+}
+
+els.dailyBtn.addEventListener("click", () => {
+  const config = readDailyConfig();
+  showGameScreen();
+  startNewGame(config);
+});
+
+els.boardSvg.addEventListener("keydown", onBoardKeyDown);
+
+function togglePause() {
+  if (game.state === STATE.PLAYING) pauseGame();
+  else if (game.state === STATE.PAUSED) resumeGame();
+  else if (game.state === STATE.STUDY) startCountdown(); // done studying early
+}
+
+function newBoard() {
+  if (!game.config || isOnlineRace()) return;
+  startNewGame(game.config);
+}
+
+// Same seed, fresh run (also works from a finished game or a replay)
+function retryBoard() {
+  if (!game.config || !game.runSeedStr || isOnlineRace()) return;
+  startNewGame(game.config, game.runSeedStr, game.runGen);
+}
+
+// From an online race board: back to the room's lobby (giving up if still racing)
+function goHome() {
+  const toLobby = isOnlineRace();
+  if (toLobby && (game.state === STATE.PLAYING || game.state === STATE.COUNTDOWN)) {
+    online.client.send({ type: "finish", current: game.current, failed: true });
+  }
   if (game.state === STATE.PLAYING) freezeElapsed();
   stopTimer();
+  stopReplay();
+  stopPreStart();
   game.state = STATE.IDLE;
+  syncUrl(false);
+  if (toLobby) showOnlineScreen();
+  else showStartScreen();
+}
+
+// -------------------------
+// Versus: two players race on one seed, each board with its own game state
+// -------------------------
+const versus = {
+  state: STATE.IDLE, // COUNTDOWN -> PLAYING <-> PAUSED -> FINISHED
+  config: null,
+  seedStr: "",
+  clockMs: 0,        // shared race clock (pauses excluded); each player adds their own penalties
+  startPerf: 0,
+  timerId: null,
+  preStartId: null,  // the shared 3-2-1, apart from the single-player one
+  preStartLeft: 0,
+  preStartRun: null,
+  preStartHeldMs: null,
+  // createGameState() + DOM of one side: { name, svg, wrap, timeEl, bannerEl, placeEl, finishMs, bannerUntil }
+  players: [...document.querySelectorAll(".versusSide")].map((side, i) => ({
+    ...createGameState(),
+    name: `Player ${i + 1}`,
+    svg: side.querySelector(".boardSvg"),
+    wrap: side.querySelector(".boardWrap"),
+    timeEl: side.querySelector(".versusTime"),
+    bannerEl: side.querySelector(".versusBanner"),
+    placeEl: side.querySelector(".versusPlace"),
+    finishMs: null,
+    bannerUntil: 0,
+  })),
+};
+
+function versusClockMs() {
+  return versus.clockMs + (versus.state === STATE.PLAYING ? performance.now() - versus.startPerf : 0);
+}
+
+// finish time once done, else the running time with this player's penalties
+function playerTimeMs(p) {
+  return p.finishMs ?? versusClockMs() + p.penaltyMs;
+}
+
+function showVersusScreen() {
+  els.startScreen.classList.add("hidden");
+  els.gameScreen.classList.add("hidden");
+  els.versusScreen.classList.remove("hidden");
+}
+
+function stopVersusTimer() {
+  if (versus.timerId != null) {
+    window.clearInterval(versus.timerId);
+    versus.timerId = null;
+  }
+}
+
+// boardSeed: Rematch on the exact board
+function startVersus(config, boardSeed = "") {
+  stopVersusTimer();
+  clearPreStart(versus);
+  const seed = boardSeed || (config.seedStr || "").trim() || genAutoSeed();
+  // a plain 1..N sprint for both; the shared countdown replaces the study phase
+  versus.config = { ...config, run: DEFAULT_RUN, studySec: 0, beatMs: null, daily: null };
+
+  const { cells, outline, quality } = buildBoard({
+    ...versus.config,
+    seedStr: seed,
+    labelFor: (num, seedStr) => JC.formatSymbol(config.symbols, num, seedStr),
+    ...(boardSeed ? { minFairness: 0 } : {}),
+  });
+  versus.seedStr = quality.seedStr;
+  versus.clockMs = 0;
+
+  for (const p of versus.players) {
+    Object.assign(p, {
+      config: versus.config,
+      runSeedStr: versus.seedStr,
+      total: config.pieceCount,
+      sequence: buildTargetSequence(versus.config.order, config.pieceCount, versus.config.multipleK),
+      seqIdx: 0,
+      current: 0,
+      wrongCount: 0,
+      missStreak: 0,
+      penaltyMs: 0,
+      failed: false,
+      finishMs: null,
+      bannerUntil: 0,
+      shuffleRand: JC.makeRng(`${versus.seedStr}|shuffle`).rand, // both boards shuffle alike
+      state: STATE.COUNTDOWN,
+    });
+    p.next = p.sequence[0];
+    // pointerdown, not click: both players can tap at the same moment
+    drawBoard(p.svg, cells, outline, p, {
+      pick: "pointerdown",
+      onPick: (num) => onVersusPick(p, num),
+      onFocus: (num) => setFocusCell(num, false, p),
+    });
+    resetFocusCell(p);
+    p.wrap.classList.toggle("mode-hard", versus.config.mode === "hard");
+    p.placeEl.classList.add("hidden");
+    setCellsVisible(false, p);
+  }
+
+  els.versusPill.textContent = `Versus · ${configLabel(versus.config, config.pieceCount)}`;
+  els.versusResult.classList.add("hidden");
+  els.versusPauseBtn.textContent = "Pause";
+  versus.state = STATE.COUNTDOWN;
+  runPreStart(versus, COUNTDOWN_SEC, (left) => {
+    els.versusCountdownText.textContent = String(left);
+    announce(String(left));
+  }, beginVersus);
+  els.versusCountdown.classList.remove("hidden");
+  updateVersusHUD();
+}
+
+function beginVersus() {
+  clearPreStart(versus);
+  els.versusCountdown.classList.add("hidden");
+  versus.state = STATE.PLAYING;
+  versus.startPerf = performance.now();
+  for (const p of versus.players) {
+    p.state = STATE.PLAYING;
+    setCellsVisible(true, p);
+    applyHardTextRule(p);
+  }
+  versus.timerId = window.setInterval(tickVersus, 60);
+  updateVersusHUD();
+  announce("Go!");
+}
+
+function tickVersus() {
+  checkVersusEnd();
+  updateVersusHUD();
+}
+
+function onVersusPick(p, num) {
+  if (versus.state !== STATE.PLAYING || p.state !== STATE.PLAYING) return;
+
+  if (num === p.next) {
+    registerHit(num, p);
+    if (p.seqIdx >= p.sequence.length) {
+      p.finishMs = versusClockMs() + p.penaltyMs;
+      p.state = STATE.FINISHED;
+      applyHardTextRule(p);
+      announce(`${p.name} done, ${fmtTime(p.finishMs)}`);
+    } else {
+      announce(`${p.name}: ${shuffleDue(p) ? "Shuffled. " : ""}Click ${symbolFor(p.next, p)}`);
+    }
+  } else {
+    const sec = registerMiss(num, p);
+    if (missEndsRun(p)) {
+      p.failed = true;
+      p.state = STATE.FINISHED;
+      announce(`${p.name} is out`);
+    } else {
+      p.penaltyMs += sec * 1000;
+      if (sec > 0) p.bannerEl.textContent = `Wrong! +${sec}s`;
+      announce(`${p.name}: ${missText(sec, p)} Click ${symbolFor(p.next, p)}`);
+    }
+  }
+  checkVersusEnd();
+  updateVersusHUD();
+}
+
+// Over once nobody is still playing, or nobody still playing can beat the fastest finish
+function checkVersusEnd() {
+  if (versus.state !== STATE.PLAYING) return;
+  const finished = versus.players.filter((p) => p.finishMs != null);
+  const playing = versus.players.filter((p) => p.state === STATE.PLAYING);
+  const bestMs = Math.min(...finished.map((p) => p.finishMs));
+  if (playing.length && playing.some((p) => playerTimeMs(p) < bestMs)) return;
+  endVersus();
+}
+
+function endVersus() {
+  versus.clockMs = versusClockMs();
+  stopVersusTimer();
+  versus.state = STATE.FINISHED;
+
+  const finished = versus.players.filter((p) => p.finishMs != null).sort((a, b) => a.finishMs - b.finishMs);
+  const winner = finished[0];
+  const draw = finished.length > 1 && finished[1].finishMs === winner.finishMs;
+
+  for (const p of versus.players) {
+    if (p.state === STATE.PLAYING) p.state = STATE.FINISHED; // can't catch up any more
+    p.bannerUntil = 0;
+    applyHardTextRule(p);
+    let place;
+    if (p.failed) place = "Out!";
+    else if (p.finishMs == null) place = "Too slow";
+    else if (draw && p.finishMs === winner.finishMs) place = "Draw";
+    else place = p === winner ? "Winner!" : "2nd";
+    p.placeEl.firstElementChild.textContent = place;
+    p.placeEl.classList.remove("hidden");
+  }
+
+  els.versusWinner.textContent = !winner ? "No winner" : draw ? "Draw!" : `${winner.name} wins!`;
+  els.versusDetail.textContent = versus.players
+    .map((p) => {
+      if (p.failed) return `${p.name} out`;
+      if (p.finishMs == null) return `${p.name} didn't finish`;
+      return `${p.name} ${fmtTime(p.finishMs)} (${p.wrongCount} wrong)`;
+    })
+    .join(" · ");
+  els.versusResult.classList.remove("hidden");
+  updateVersusHUD();
+  announce(`${els.versusWinner.textContent} ${els.versusDetail.textContent}`);
+}
+
+function updateVersusHUD() {
+  const now = performance.now();
+  for (const p of versus.players) {
+    p.timeEl.textContent = fmtTime(versus.state === STATE.COUNTDOWN ? 0 : playerTimeMs(p));
+    p.timeEl.classList.toggle("doneTime", p.finishMs != null);
+    p.bannerEl.classList.toggle("bad", p.failed || now < p.bannerUntil);
+    p.bannerEl.classList.toggle("good", p.finishMs != null);
+    if (now < p.bannerUntil) continue; // keep "Wrong!" up a moment
+    if (versus.state === STATE.COUNTDOWN) p.bannerEl.textContent = "Get ready";
+    else if (p.failed) p.bannerEl.textContent = "Out!";
+    else if (p.finishMs != null) p.bannerEl.textContent = "Done!";
+    else p.bannerEl.textContent = `Click ${symbolFor(p.next, p)}`;
+  }
+}
+
+function pauseVersus() {
+  if (versus.state !== STATE.PLAYING) return;
+  versus.clockMs = versusClockMs();
+  stopVersusTimer();
+  versus.state = STATE.PAUSED;
+  for (const p of versus.players) {
+    setCellsVisible(false, p);
+    p.placeEl.firstElementChild.textContent = "Paused";
+    p.placeEl.classList.remove("hidden");
+  }
+  els.versusPauseBtn.textContent = "Resume";
+}
+
+function resumeVersus() {
+  if (versus.state !== STATE.PAUSED) return;
+  versus.state = STATE.PLAYING;
+  versus.startPerf = performance.now();
+  for (const p of versus.players) {
+    setCellsVisible(true, p);
+    p.placeEl.classList.add("hidden");
+  }
+  els.versusPauseBtn.textContent = "Pause";
+  versus.timerId = window.setInterval(tickVersus, 60);
+  updateVersusHUD();
+}
+
+function toggleVersusPause() {
+  if (versus.state === STATE.PLAYING) pauseVersus();
+  else if (versus.state === STATE.PAUSED) resumeVersus();
+}
+
+function rematchVersus() {
+  if (versus.config) startVersus(versus.config, versus.seedStr);
+}
+
+function newVersusBoard() {
+  if (versus.config) startVersus(versus.config);
+}
+
+function leaveVersus() {
+  stopVersusTimer();
+  clearPreStart(versus);
+  els.versusCountdown.classList.add("hidden");
+  versus.state = STATE.IDLE;
   showStartScreen();
+}
+
+const VERSUS_HOTKEY_HANDLERS = {
+  pause: toggleVersusPause,
+  newBoard: newVersusBoard,
+  retry: rematchVersus,
+  home: leaveVersus,
+  help: () => openHelp(),
+};
+
+for (const p of versus.players) {
+  p.svg.addEventListener("keydown", (ev) => onBoardKeyDown(ev, p, (num) => onVersusPick(p, num)));
+}
+
+els.versusBtn.addEventListener("click", () => {
+  const config = readConfigFromUI();
+  showVersusScreen();
+  startVersus(config);
 });
+els.versusPauseBtn.addEventListener("click", toggleVersusPause);
+els.versusRematchBtn.addEventListener("click", rematchVersus);
+els.versusNewBtn.addEventListener("click", newVersusBoard);
+els.versusHomeBtn.addEventListener("click", leaveVersus);
+
+// -------------------------
+// Online race: a room on a race server (race_server.mjs); the race itself plays on the game screen
+// -------------------------
+const DEFAULT_RACE_PORT = 8787;
+
+const online = {
+  client: null,   // JC.createRaceClient while in a room
+  id: "",         // our player id, sent again on reconnect to get the same slot back
+  room: "",
+  snapshot: null, // latest "room" message
+  raceNo: 0,      // race the board on the game screen belongs to (0 = none yet)
+  startPerf: 0,   // performance.now() the current race starts at
+  error: "",
+};
+
+// Served by race_server.mjs: the same host; anywhere else a local server
+function defaultRaceServer() {
+  if (window.location.protocol === "http:") return `ws://${window.location.host}`;
+  return `ws://localhost:${DEFAULT_RACE_PORT}`;
+}
+
+function isOnlineRace() {
+  return online.raceNo > 0 && game.config?.raceNo === online.raceNo && game.state !== STATE.IDLE;
+}
+
+function onlineMe() {
+  return online.snapshot?.players.find((p) => p.id === online.id) || null;
+}
+
+function isOnlineHost() {
+  return !!online.id && online.snapshot?.hostId === online.id;
+}
+
+function showOnlineScreen() {
+  els.startScreen.classList.add("hidden");
+  els.gameScreen.classList.add("hidden");
+  els.onlineScreen.classList.remove("hidden");
+  renderLobby();
+}
+
+function renderOnlineChoices() {
+  for (const mode of MODE_OPTIONS) {
+    const opt = document.createElement("option");
+    opt.value = mode;
+    opt.textContent = modeLabel(mode);
+    els.onlineModeSelect.appendChild(opt);
+  }
+  for (const n of PIECE_OPTIONS) {
+    const opt = document.createElement("option");
+    opt.value = String(n);
+    opt.textContent = String(n);
+    els.onlinePiecesSelect.appendChild(opt);
+  }
+}
+
+// The host's pick, under the default rules so times compare
+function onlineRaceConfig(race) {
+  return {
+    ...readConfigFromUI(),
+    seedStr: race.seed,
+    mode: MODE_OPTIONS.includes(race.mode) ? race.mode : DEFAULT_MODE,
+    pieceCount: isValidPieceCount(race.pieceCount) ? race.pieceCount : DEFAULT_PIECE_COUNT,
+    shape: DEFAULT_SHAPE,
+    profile: DEFAULT_PROFILE,
+    tuning: null,
+    run: DEFAULT_RUN,
+    order: DEFAULT_ORDER,
+    symbols: DEFAULT_SYMBOLS,
+    penaltyRule: DEFAULT_PENALTY_RULE,
+    wrongPenaltySec: WRONG_PENALTY_SEC,
+    studySec: 0,
+    countdown: true, // to the server's start time
+    beatMs: null,
+    raceNo: online.raceNo,
+  };
+}
+
+function joinOnline() {
+  const server = els.onlineServerInput.value.trim() || defaultRaceServer();
+  const name = els.onlineNameInput.value.trim();
+  JC.saveRacePrefs({ server, name });
+  Object.assign(online, { id: "", room: els.onlineRoomInput.value.trim(), snapshot: null, raceNo: 0, error: "" });
+
+  online.client = JC.createRaceClient(server, {
+    // also after every reconnect: same id, same room
+    onOpen: () => online.client.send({ type: "join", room: online.room, name, id: online.id }),
+    onMessage: onOnlineMessage,
+    onStatus: renderOnlineStatus,
+  });
+  renderLobby();
+}
+
+function leaveOnline() {
+  if (online.client) {
+    online.client.send({ type: "leave" });
+    online.client.close();
+  }
+  Object.assign(online, { client: null, id: "", room: "", snapshot: null, raceNo: 0, error: "" });
+  showStartScreen();
+}
+
+function onOnlineMessage(msg) {
+  if (msg.type === "joined") {
+    online.id = msg.id;
+    online.room = msg.room;
+    online.error = "";
+    sendRaceProgress(); // anything that happened while the link was down
+    return;
+  }
+  if (msg.type === "error") {
+    online.error = msg.message;
+    renderOnlineStatus();
+    return;
+  }
+  if (msg.type !== "room") return;
+
+  online.snapshot = msg;
+  online.error = "";
+  if (msg.state === "racing" && msg.raceNo !== online.raceNo && onlineMe()?.inRace) startOnlineRace(msg);
+  renderLobby();
+  renderRaceBars();
+}
+
+function startOnlineRace(msg) {
+  online.raceNo = msg.raceNo;
+  online.startPerf = online.client.serverToPerf(msg.startAt);
+  showGameScreen();
+  startNewGame(onlineRaceConfig(msg.race));
+}
 
-showStartScreen();
+// Progress after each correct click, the result once finished
+function sendRaceProgress() {
+  if (!isOnlineRace()) return;
+  if (game.state === STATE.FINISHED || game.state === STATE.REPLAY) {
+    online.client.send({
+      type: "finish",
+      current: game.current,
+      ms: Math.round(game.elapsedMs),
+      wrong: game.wrongCount,
+      failed: game.failed,
+    });
+  } else {
+    online.client.send({ type: "progress", current: game.current });
+  }
+}
+
+function sendOnlineConfig() {
+  online.client?.send({
+    type: "config",
+    config: {
+      seed: els.onlineSeedInput.value,
+      mode: els.onlineModeSelect.value,
+      pieceCount: Number(els.onlinePiecesSelect.value),
+    },
+  });
+}
+
+function onlineStateText() {
+  const snap = online.snapshot;
+  if (!snap) return "Joining…";
+  if (snap.state === "racing") return onlineMe()?.inRace ? "Racing" : "Race on, you're in the next one";
+  if (snap.state === "done") {
+    const winner = snap.players
+      .filter((p) => p.inRace && p.finishMs != null)
+      .sort((a, b) => a.finishMs - b.finishMs)[0];
+    return winner ? `Race over · ${winner.name} won in ${fmtTime(winner.finishMs)}` : "Race over · nobody finished";
+  }
+  return isOnlineHost() ? "You're the host: pick the board and start" : "Waiting for the host to start";
+}
+
+function renderOnlineStatus() {
+  const status = online.client?.status();
+  let text = onlineStateText();
+  let bad = true;
+  if (online.error) text = online.error;
+  else if (status === "connecting") text = "Connecting…";
+  else if (status === "reconnecting") text = "Connection lost, reconnecting…";
+  else if (status === "replaced") text = "You joined this room from another tab";
+  else bad = false;
+  for (const el of [els.onlineStatus, els.raceStatus]) {
+    el.textContent = text;
+    el.classList.toggle("bad", bad);
+  }
+}
+
+function renderLobby() {
+  const snap = online.snapshot;
+  els.onlineJoin.classList.toggle("hidden", !!online.client);
+  els.onlineLobby.classList.toggle("hidden", !online.client);
+  els.onlineRoomTitle.textContent = snap ? `Room ${snap.room}` : "Room";
+
+  while (els.onlinePlayers.firstChild) els.onlinePlayers.removeChild(els.onlinePlayers.firstChild);
+  for (const p of snap?.players || []) {
+    const li = document.createElement("li");
+    const tags = [p.id === snap.hostId ? "host" : "", p.id === online.id ? "you" : "", p.connected ? "" : "offline"];
+    li.textContent = p.name + tags.filter(Boolean).map((t) => ` · ${t}`).join("");
+    li.classList.toggle("offline", !p.connected);
+    els.onlinePlayers.appendChild(li);
+  }
+
+  // everyone sees the host's pick; only the host can change it between races
+  const editable = isOnlineHost() && snap?.state !== "racing";
+  const config = snap?.config;
+  const fields = [
+    [els.onlineSeedInput, config?.seed ?? ""],
+    [els.onlineModeSelect, config?.mode ?? DEFAULT_MODE],
+    [els.onlinePiecesSelect, String(config?.pieceCount ?? DEFAULT_PIECE_COUNT)],
+  ];
+  for (const [el, value] of fields) {
+    el.disabled = !editable;
+    if (document.activeElement !== el) el.value = value;
+  }
+  els.onlineStartBtn.classList.toggle("hidden", !isOnlineHost());
+  els.onlineStartBtn.disabled = !editable;
+  els.onlineStartBtn.textContent = snap?.state === "done" ? "Race again" : "Start race";
+  renderOnlineStatus();
+}
+
+// Everyone in the current race: finished (fastest first), then furthest along, then out
+function renderRaceBars() {
+  const snap = online.snapshot;
+  if (!snap) return;
+  els.raceTitle.textContent = `Race · Room ${snap.room}`;
+  while (els.raceBars.firstChild) els.raceBars.removeChild(els.raceBars.firstChild);
+
+  const rank = (p) => (p.finishMs != null ? 0 : p.failed ? 2 : 1);
+  const riders = snap.players
+    .filter((p) => p.inRace)
+    .sort((a, b) => rank(a) - rank(b) || (a.finishMs ?? 0) - (b.finishMs ?? 0) || b.current - a.current);
+
+  for (const p of riders) {
+    const row = document.createElement("div");
+    row.className = "raceRow";
+    row.classList.toggle("me", p.id === online.id);
+    row.classList.toggle("done", p.finishMs != null);
+    row.classList.toggle("out", p.failed);
+    row.classList.toggle("offline", !p.connected);
+
+    const name = document.createElement("span");
+    name.className = "raceName";
+    name.textContent = p.name;
+
+    const track = document.createElement("div");
+    track.className = "raceTrack";
+    const fill = document.createElement("div");
+    fill.className = "raceFill";
+    fill.style.width = `${p.total ? (100 * p.current) / p.total : 0}%`;
+    track.appendChild(fill);
+
+    const info = document.createElement("span");
+    info.className = "raceInfo";
+    if (p.failed) info.textContent = "Out";
+    else if (p.finishMs != null) info.textContent = fmtTime(p.finishMs);
+    else if (!p.connected) info.textContent = "offline";
+    else info.textContent = `${p.current}/${p.total}`;
+
+    row.append(name, track, info);
+    els.raceBars.appendChild(row);
+  }
+}
+
+renderOnlineChoices();
+const racePrefs = JC.loadRacePrefs();
+els.onlineServerInput.value = racePrefs.server || defaultRaceServer();
+els.onlineNameInput.value = racePrefs.name;
+
+els.onlineBtn.addEventListener("click", showOnlineScreen);
+els.onlineBackBtn.addEventListener("click", showStartScreen);
+els.onlineJoinBtn.addEventListener("click", joinOnline);
+els.onlineLeaveBtn.addEventListener("click", leaveOnline);
+els.onlineStartBtn.addEventListener("click", () => online.client?.send({ type: "start" }));
+els.onlineSeedInput.addEventListener("change", sendOnlineConfig);
+els.onlineModeSelect.addEventListener("change", sendOnlineConfig);
+els.onlinePiecesSelect.addEventListener("change", sendOnlineConfig);
+els.raceLobbyBtn.addEventListener("click", goHome);
+
+// -------------------------
+// Hotkeys + help overlay
+// -------------------------
+let hotkeys = JC.loadHotkeys();
+let rebindAction = null; // action waiting for its new key
+
+const HOTKEY_HANDLERS = {
+  pause: togglePause,
+  newBoard,
+  retry: retryBoard,
+  home: goHome,
+  help: () => openHelp(),
+};
+
+function isHelpOpen() {
+  return !els.helpModal.classList.contains("hidden");
+}
+
+function renderHotkeyTable() {
+  const table = els.hotkeyTable;
+  while (table.firstChild) table.removeChild(table.firstChild);
+
+  for (const a of JC.HOTKEY_ACTIONS) {
+    const row = document.createElement("tr");
+    const name = document.createElement("td");
+    name.textContent = a.label;
+    row.appendChild(name);
+
+    const td = document.createElement("td");
+    const btn = document.createElement("button");
+    const listening = rebindAction === a.id;
+    btn.className = listening ? "keyBtn listening" : "keyBtn";
+    btn.dataset.action = a.id;
+    btn.textContent = listening ? "Press a key…" : ((hotkeys[a.id] || []).map(JC.hotkeyLabel).join(" / ") || "–");
+    td.appendChild(btn);
+    row.appendChild(td);
+    table.appendChild(row);
+  }
+}
+
+function openHelp() {
+  pauseGame(); // no-op unless playing; the clock shouldn't run while reading
+  pauseVersus();
+  if (!isOnlineRace()) holdPreStart(game); // the race start doesn't wait
+  holdPreStart(versus);
+  rebindAction = null;
+  renderHotkeyTable();
+  els.helpBackdrop.classList.remove("hidden");
+  els.helpModal.classList.remove("hidden");
+  els.helpCloseBtn.focus();
+}
+
+function closeHelp() {
+  rebindAction = null;
+  els.helpBackdrop.classList.add("hidden");
+  els.helpModal.classList.add("hidden");
+  releasePreStart(game);
+  releasePreStart(versus);
+}
+
+function isTypingTarget(el) {
+  const tag = el?.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || !!el?.isContentEditable;
+}
+
+function onDocumentKeyDown(ev) {
+  const key = JC.hotkeyFromEvent(ev);
+
+  if (rebindAction) {
+    if (!key) return;
+    ev.preventDefault();
+    if (key !== "Escape") {
+      hotkeys = JC.bindHotkey(hotkeys, rebindAction, key);
+      JC.saveHotkeys(hotkeys);
+    }
+    rebindAction = null;
+    renderHotkeyTable();
+    return;
+  }
+
+  if (isHelpOpen()) {
+    if (key === "Escape" || JC.hotkeyAction(hotkeys, key) === "help") {
+      ev.preventDefault();
+      closeHelp();
+    }
+    return;
+  }
+
+  // cells already handled Enter/Space; buttons and inputs keep their own keys
+  if (ev.defaultPrevented || isTypingTarget(ev.target)) return;
+  if ((key === "Space" || key === "Enter") && ev.target?.tagName === "BUTTON") return;
+
+  const action = JC.hotkeyAction(hotkeys, key);
+  if (!action) return;
+  const inVersus = versus.state !== STATE.IDLE;
+  // everything but help only makes sense on a game screen
+  if (action !== "help" && game.state === STATE.IDLE && !inVersus) return;
+  ev.preventDefault();
+  (inVersus ? VERSUS_HOTKEY_HANDLERS : HOTKEY_HANDLERS)[action]();
+}
+
+document.addEventListener("keydown", onDocumentKeyDown);
+
+els.helpBtn.addEventListener("click", openHelp);
+els.helpCloseBtn.addEventListener("click", closeHelp);
+els.helpBackdrop.addEventListener("click", closeHelp);
+
+els.hotkeyTable.addEventListener("click", (ev) => {
+  const btn = ev.target.closest("[data-action]");
+  if (!btn) return;
+  rebindAction = btn.dataset.action;
+  renderHotkeyTable();
+});
+
+els.hotkeyResetBtn.addEventListener("click", () => {
+  hotkeys = JC.resetHotkeys();
+  rebindAction = null;
+  renderHotkeyTable();
+});
+
+els.pauseBtn.addEventListener("click", togglePause);
+els.readyBtn.addEventListener("click", () => {
+  if (game.state === STATE.STUDY) startCountdown();
+});
+els.newBoardBtn.addEventListener("click", newBoard);
+els.retryBtn.addEventListener("click", retryBoard);
+
+els.replayBtn.addEventListener("click", () => {
+  if (game.lastRun) startReplay(game.lastRun);
+});
+
+// read once: while "Copied!" shows, the button's text isn't the label
+const COPY_LINK_LABEL = els.copyLinkBtn.textContent;
+let copiedResetId = null;
+els.copyLinkBtn.addEventListener("click", () => {
+  if (game.state !== STATE.FINISHED) return;
+  const url = challengeUrlFor(game.elapsedMs);
+  const copied = () => {
+    els.copyLinkBtn.textContent = "Copied!";
+    if (copiedResetId) window.clearTimeout(copiedResetId);
+    copiedResetId = window.setTimeout(() => { els.copyLinkBtn.textContent = COPY_LINK_LABEL; }, 1200);
+  };
+
+  if (navigator.clipboard?.writeText) {
+    navigator.clipboard.writeText(url).then(copied, () => window.prompt("Copy this link", url));
+  } else {
+    window.prompt("Copy this link", url);
+  }
+});
+
+els.replayBar.addEventListener("click", (ev) => {
+  const btn = ev.target.closest("[data-speed]");
+  if (btn) setReplaySpeed(Number(btn.dataset.speed));
+});
+
+els.backBtn.addEventListener("click", goHome);
+els.heatmapToggle.addEventListener("change", applyHeatmap);
+
+setReplaySpeed(REPLAY_SPEEDS[0]);
+
+// Challenge link: jump straight into the board
+const urlConfig = readConfigFromUrl();
+if (urlConfig) {
+  showGameScreen();
+  startNewGame(urlConfig);
+} else {
+  showStartScreen();
+}
@@ -0,0 +1,151 @@
+"use strict";
+
+/**
+ * netrace.js
+ * - WebSocket link to a race server (race_server.mjs has the protocol): JSON messages in and out.
+ * - Reconnects by itself with backoff until close() is called; onOpen fires again after every
+ *   reconnect, so the page re-sends its join (and its progress) from there.
+ * - Keeps a server clock estimate from ping / pong, so a server startAt can be turned into a
+ *   local performance.now() time and everyone's countdown ends together.
+ * - Also remembers the last server URL and player name (localStorage, per browser).
+ * - Only transport; rooms, lobby and racing are main.js's job.
+ * - Exposes window.JC.createRaceClient(url, { onOpen, onMessage(msg), onStatus(status) }) ->
+ *   { send(msg) -> sent?, close(), serverToPerf(serverMs), status() },
+ *   JC.loadRacePrefs() -> { server, name } and JC.saveRacePrefs(prefs)
+ *   status = connecting | open | reconnecting | replaced (same player joined elsewhere) | closed
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+
+  const STORAGE_KEY = "justclick.race.v1";
+  const RETRY_MIN_MS = 1000;
+  const RETRY_MAX_MS = 10000;
+  const PING_EVERY_MS = 10000;
+  const CLOCK_SAMPLES = 4; // quick pings right after connecting
+  const REPLACED_CODE = 4000;
+
+  function createRaceClient(url, handlers = {}) {
+    let ws = null;
+    let status = "connecting";
+    let retries = 0;
+    let retryId = null;
+    let pingId = null;
+    // server ms -> performance.now(): offsetMs from the ping with the shortest round trip
+    let offsetMs = performance.now() - Date.now();
+    let bestRtt = Infinity;
+
+    function setStatus(next) {
+      if (status === next) return;
+      status = next;
+      handlers.onStatus?.(next);
+    }
+
+    function sendPing() {
+      send({ type: "ping", t: performance.now() });
+    }
+
+    function onPong(msg) {
+      const rtt = performance.now() - msg.t;
+      if (!(rtt >= 0) || rtt > bestRtt) return;
+      bestRtt = rtt;
+      offsetMs = msg.t + rtt / 2 - msg.now;
+    }
+
+    function stopPings() {
+      if (pingId != null) {
+        global.clearInterval(pingId);
+        pingId = null;
+      }
+    }
+
+    function connect() {
+      retryId = null;
+      try {
+        ws = new global.WebSocket(url);
+      } catch {
+        scheduleRetry(); // bad URL for now; keep trying like a dropped link
+        return;
+      }
+      ws.onopen = () => {
+        retries = 0;
+        setStatus("open");
+        for (let i = 0; i < CLOCK_SAMPLES; i++) global.setTimeout(sendPing, i * 150);
+        pingId = global.setInterval(sendPing, PING_EVERY_MS);
+        handlers.onOpen?.();
+      };
+      ws.onmessage = (ev) => {
+        let msg;
+        try {
+          msg = JSON.parse(ev.data);
+        } catch {
+          return;
+        }
+        if (msg?.type === "pong") onPong(msg);
+        else if (msg) handlers.onMessage?.(msg);
+      };
+      ws.onclose = (ev) => {
+        ws = null;
+        stopPings();
+        if (status === "closed") return;
+        if (ev.code === REPLACED_CODE) {
+          setStatus("replaced");
+          return;
+        }
+        scheduleRetry();
+      };
+    }
+
+    function scheduleRetry() {
+      setStatus("reconnecting");
+      const delay = Math.min(RETRY_MAX_MS, RETRY_MIN_MS * 2 ** retries);
+      retries++;
+      retryId = global.setTimeout(connect, delay);
+    }
+
+    function send(msg) {
+      if (!ws || ws.readyState !== 1) return false; // WebSocket.OPEN
+      ws.send(JSON.stringify(msg));
+      return true;
+    }
+
+    function close() {
+      setStatus("closed");
+      stopPings();
+      if (retryId != null) global.clearTimeout(retryId);
+      retryId = null;
+      if (ws) ws.close();
+      ws = null;
+    }
+
+    function serverToPerf(serverMs) {
+      return serverMs + offsetMs;
+    }
+
+    connect();
+    return { send, close, serverToPerf, status: () => status };
+  }
+
+  function loadRacePrefs() {
+    try {
+      const data = JSON.parse(global.localStorage.getItem(STORAGE_KEY) || "null");
+      return {
+        server: typeof data?.server === "string" ? data.server : "",
+        name: typeof data?.name === "string" ? data.name : "",
+      };
+    } catch (e) {
+      return { server: "", name: "" };
+    }
+  }
+
+  function saveRacePrefs(prefs) {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, JSON.stringify({ server: prefs.server, name: prefs.name }));
+    } catch (e) {
+      // quota / private mode: asked again next time
+    }
+  }
+
+  JC.createRaceClient = createRaceClient;
+  JC.loadRacePrefs = loadRacePrefs;
+  JC.saveRacePrefs = saveRacePrefs;
+})(window);
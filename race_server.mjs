@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+/**
+ * race_server.mjs
+ * - Reference server for online races (netrace.js in the page). No dependencies: node:http plus
+ *   a minimal RFC 6455 WebSocket (text frames, ping/pong, close).
+ * - Also serves the game files from this folder, so one command gives a playable local setup.
+ * - Rooms: the first player in is the host and picks seed / mode / pieceCount; a start fixes the
+ *   seed for everyone and sends a server-clock startAt that every page counts down to.
+ * - Players that drop keep their slot (and progress) for RECONNECT_GRACE_MS and get it back by
+ *   joining again with the same id; the host role passes on when the host is gone for good.
+ * - The server only relays: each page times its own run and reports it.
+ *
+ * Usage:
+ *   node race_server.mjs [--port 8787] [--host 0.0.0.0]
+ *   then open http://localhost:8787/ and pick "Online race"
+ *
+ * Messages are JSON objects with a type:
+ *   page -> server  join { room?, name, id? } | leave | ping { t } | config { config }
+ *                   | start | progress { current } | finish { ms, wrong, failed }
+ *   server -> page  joined { id, room } | pong { t, now } | error { message }
+ *                   | room { room, hostId, state: lobby|racing|done, config, race, raceNo, startAt,
+ *                          players: [{ id, name, connected, inRace, current, total, finishMs, wrong, failed }] }
+ *   config is what the host has picked; race is the config of the latest start, with its seed.
+ */
+import http from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, dirname, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+const DEFAULT_PORT = 8787;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_PAYLOAD = 16 * 1024;
+const HEARTBEAT_MS = 15000;
+const RECONNECT_GRACE_MS = 30000;
+const COUNTDOWN_MS = 3000; // COUNTDOWN_SEC in main.js
+const MAX_PLAYERS = 8;
+const MAX_NAME = 20;
+const MAX_ROOM = 16;
+const MAX_SEED = 64;
+const MIN_PIECE_COUNT = 5;   // main.js range
+const MAX_PIECE_COUNT = 300;
+const DEFAULT_CONFIG = { seed: "", mode: "normal", pieceCount: 20 };
+
+const STATIC_ROOT = dirname(fileURLToPath(import.meta.url));
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".png": "image/png",
+};
+
+// -------------------------
+// WebSocket frames
+// -------------------------
+const OP = { CONT: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+function acceptKey(key) {
+  return createHash("sha1").update(key + WS_GUID).digest("base64");
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let head;
+  if (len < 126) {
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+// Splits a byte stream into frames; throws { code } on frames a server must refuse
+function createFrameReader() {
+  let buf = Buffer.alloc(0);
+
+  function push(chunk) {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    const frames = [];
+    for (;;) {
+      if (buf.length < 2) break;
+      const fin = (buf[0] & 0x80) !== 0;
+      const opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      let len = buf[1] & 0x7f;
+      let off = 2;
+      if (len === 126) {
+        if (buf.length < 4) break;
+        len = buf.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) break;
+        const big = buf.readBigUInt64BE(2);
+        len = big > BigInt(MAX_PAYLOAD) ? MAX_PAYLOAD + 1 : Number(big);
+        off = 10;
+      }
+      if (!masked) throw Object.assign(new Error("client frames must be masked"), { code: 1002 });
+      if (len > MAX_PAYLOAD) throw Object.assign(new Error("message too big"), { code: 1009 });
+      if (buf.length < off + 4 + len) break;
+
+      const mask = buf.subarray(off, off + 4);
+      const payload = Buffer.from(buf.subarray(off + 4, off + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      frames.push({ fin, opcode, payload });
+      buf = buf.subarray(off + 4 + len);
+    }
+    return frames;
+  }
+
+  return { push };
+}
+
+// Wraps an upgraded socket: onMessage(text), onClose(); send(obj) / close(code)
+function createConnection(socket, { onMessage, onClose }) {
+  const reader = createFrameReader();
+  const parts = []; // fragments of the text message being received
+  let partsLen = 0; // their total size, checked per fragment
+  let closed = false;
+  const conn = { alive: true, send, close, ping };
+
+  function send(obj) {
+    if (!closed) socket.write(encodeFrame(OP.TEXT, Buffer.from(JSON.stringify(obj))));
+  }
+
+  function ping() {
+    if (!closed) socket.write(encodeFrame(OP.PING));
+  }
+
+  function close(code = 1000) {
+    if (closed) return;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(OP.CLOSE, body));
+    finish();
+  }
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    onClose();
+  }
+
+  function onData(chunk) {
+    let frames;
+    try {
+      frames = reader.push(chunk);
+    } catch (err) {
+      close(err.code || 1002);
+      return;
+    }
+    for (const f of frames) {
+      if (closed) return;
+      if (f.opcode === OP.CLOSE) { close(); return; }
+      if (f.opcode === OP.PING) { socket.write(encodeFrame(OP.PONG, f.payload)); continue; }
+      if (f.opcode === OP.PONG) { conn.alive = true; continue; }
+      if (f.opcode === OP.BINARY) { close(1003); return; }
+      if (f.opcode !== OP.TEXT && f.opcode !== OP.CONT) { close(1002); return; }
+
+      partsLen += f.payload.length;
+      if (partsLen > MAX_PAYLOAD) { close(1009); return; } // before endless fragments pile up
+      parts.push(f.payload);
+      if (!f.fin) continue;
+      const text = Buffer.concat(parts).toString("utf8");
+      parts.length = 0;
+      partsLen = 0;
+      onMessage(text);
+    }
+  }
+
+  socket.on("data", onData);
+  socket.on("close", finish);
+  socket.on("error", () => socket.destroy());
+
+  return conn;
+}
+
+// -------------------------
+// Rooms
+// -------------------------
+function cleanText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+function cleanConfig(config) {
+  const n = Number(config?.pieceCount);
+  return {
+    seed: cleanText(config?.seed, MAX_SEED),
+    mode: cleanText(config?.mode, 16) || DEFAULT_CONFIG.mode,
+    pieceCount: Number.isInteger(n) ? Math.min(MAX_PIECE_COUNT, Math.max(MIN_PIECE_COUNT, n)) : DEFAULT_CONFIG.pieceCount,
+  };
+}
+
+function randomCode(bytes) {
+  return randomBytes(bytes).toString("hex").toUpperCase();
+}
+
+// All room logic, independent of sockets: conn = { send(obj), close() }.
+// now() and setTimer/clearTimer are injectable for tests.
+export function createRaceHub({ now = Date.now, setTimer = setTimeout, clearTimer = clearTimeout } = {}) {
+  const rooms = new Map(); // code -> { code, hostId, state, config, race, raceNo, startAt, players: Map id -> player }
+  const connPlayers = new Map(); // conn -> { room, player }
+
+  function snapshot(room) {
+    return {
+      type: "room",
+      room: room.code,
+      hostId: room.hostId,
+      state: room.state,
+      config: room.config,
+      race: room.race,
+      raceNo: room.raceNo,
+      startAt: room.startAt,
+      players: [...room.players.values()].map((p) => ({
+        id: p.id,
+        name: p.name,
+        connected: !!p.conn,
+        inRace: p.inRace,
+        current: p.current,
+        total: p.total,
+        finishMs: p.finishMs,
+        wrong: p.wrong,
+        failed: p.failed,
+      })),
+    };
+  }
+
+  function broadcast(room) {
+    const msg = snapshot(room);
+    for (const p of room.players.values()) p.conn?.send(msg);
+  }
+
+  // Racing ends once every starter has finished (or is gone)
+  function checkRaceDone(room) {
+    if (room.state !== "racing") return;
+    for (const p of room.players.values()) {
+      if (p.inRace && p.finishMs == null && !p.failed) return;
+    }
+    room.state = "done";
+  }
+
+  function removePlayer(room, player) {
+    clearTimer(player.graceId);
+    room.players.delete(player.id);
+    if (!room.players.size) {
+      rooms.delete(room.code);
+      return;
+    }
+    if (room.hostId === player.id) {
+      // longest-present player still connected, else anyone
+      const next = [...room.players.values()].find((p) => p.conn) || room.players.values().next().value;
+      room.hostId = next.id;
+    }
+    checkRaceDone(room);
+    broadcast(room);
+  }
+
+  function join(conn, msg) {
+    const code = cleanText(msg.room, MAX_ROOM).toUpperCase() || randomCode(2);
+    let room = rooms.get(code);
+    if (!room) {
+      room = {
+        code, hostId: "", state: "lobby", config: { ...DEFAULT_CONFIG }, race: null, raceNo: 0, startAt: 0, players: new Map(),
+      };
+      rooms.set(code, room);
+    }
+
+    const id = cleanText(msg.id, 32);
+    let player = id ? room.players.get(id) : null;
+    if (player) {
+      // back within the grace period (or the same player from a newer tab)
+      clearTimer(player.graceId);
+      if (player.conn && player.conn !== conn) {
+        connPlayers.delete(player.conn);
+        player.conn.close(4000);
+      }
+    } else {
+      if (room.players.size >= MAX_PLAYERS) {
+        conn.send({ type: "error", message: "Room is full" });
+        return;
+      }
+      player = {
+        id: id || randomCode(8),
+        name: "",
+        conn: null,
+        graceId: null,
+        inRace: false,
+        current: 0,
+        total: 0,
+        finishMs: null,
+        wrong: 0,
+        failed: false,
+      };
+      room.players.set(player.id, player);
+    }
+    player.name = cleanText(msg.name, MAX_NAME) || player.name || `Player ${room.players.size}`;
+    player.conn = conn;
+    connPlayers.set(conn, { room, player });
+    if (!room.hostId) room.hostId = player.id;
+
+    conn.send({ type: "joined", id: player.id, room: room.code });
+    broadcast(room);
+  }
+
+  function start(room) {
+    room.state = "racing";
+    room.raceNo++;
+    room.startAt = now() + COUNTDOWN_MS;
+    // a blank seed is rolled here so every page builds the same board
+    room.race = { ...room.config, seed: room.config.seed || randomCode(4).toLowerCase() };
+    for (const p of room.players.values()) {
+      Object.assign(p, { inRace: !!p.conn, current: 0, total: room.config.pieceCount, finishMs: null, wrong: 0, failed: false });
+    }
+  }
+
+  function onMessage(conn, text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      conn.send({ type: "error", message: "Bad message" });
+      return;
+    }
+    if (!msg || typeof msg.type !== "string") return;
+
+    if (msg.type === "ping") {
+      conn.send({ type: "pong", t: msg.t, now: now() });
+      return;
+    }
+    if (msg.type === "join") {
+      const prev = connPlayers.get(conn);
+      if (prev) leave(conn);
+      join(conn, msg);
+      return;
+    }
+
+    const entry = connPlayers.get(conn);
+    if (!entry) {
+      conn.send({ type: "error", message: "Join a room first" });
+      return;
+    }
+    const { room, player } = entry;
+    const isHost = room.hostId === player.id;
+
+    if (msg.type === "leave") {
+      leave(conn);
+      return;
+    }
+    if (msg.type === "config" || msg.type === "start") {
+      if (!isHost) {
+        conn.send({ type: "error", message: "Only the host can do that" });
+        return;
+      }
+      if (room.state === "racing") {
+        conn.send({ type: "error", message: "Wait for the race to end" });
+        return;
+      }
+      if (msg.type === "config") room.config = cleanConfig(msg.config);
+      else start(room);
+      broadcast(room);
+      return;
+    }
+    if (msg.type === "progress" || msg.type === "finish") {
+      if (room.state !== "racing" || !player.inRace || player.finishMs != null || player.failed) return;
+      const current = Number(msg.current);
+      if (Number.isInteger(current)) player.current = Math.min(player.total, Math.max(0, current));
+      if (msg.type === "finish") {
+        const ms = Number(msg.ms);
+        player.failed = !!msg.failed || !(ms >= 0);
+        player.finishMs = player.failed ? null : Math.round(ms);
+        player.wrong = Math.max(0, Math.floor(Number(msg.wrong) || 0));
+        if (!player.failed) player.current = player.total;
+        checkRaceDone(room);
+      }
+      broadcast(room);
+    }
+  }
+
+  // Left on purpose: the slot goes at once
+  function leave(conn) {
+    const entry = connPlayers.get(conn);
+    if (!entry) return;
+    connPlayers.delete(conn);
+    removePlayer(entry.room, entry.player);
+  }
+
+  // Dropped: keep the slot for a while so a reconnect picks up where it was
+  function onClose(conn) {
+    const entry = connPlayers.get(conn);
+    if (!entry) return;
+    connPlayers.delete(conn);
+    const { room, player } = entry;
+    if (player.conn !== conn) return;
+    player.conn = null;
+    player.graceId = setTimer(() => removePlayer(room, player), RECONNECT_GRACE_MS);
+    player.graceId?.unref?.(); // a closing server doesn't wait for it
+    broadcast(room);
+  }
+
+  return { onMessage, onClose, rooms };
+}
+
+// -------------------------
+// HTTP: upgrade to WebSocket, else static files
+// -------------------------
+async function serveStatic(req, res) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(req.url, "http://x").pathname);
+  } catch {
+    res.writeHead(400).end(); // malformed %-escape
+    return;
+  }
+  const file = normalize(join(STATIC_ROOT, path === "/" ? "index.html" : path));
+  const type = STATIC_TYPES[extname(file)];
+  // STATIC_ROOT + sep: a sibling folder like <root>-x/ must not pass
+  if (!file.startsWith(STATIC_ROOT + sep) || !type || req.method !== "GET") {
+    res.writeHead(404).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { "Content-Type": type }).end(body);
+  } catch {
+    res.writeHead(404).end();
+  }
+}
+
+export function createRaceServer(hub = createRaceHub()) {
+  const conns = new Set();
+  const server = http.createServer((req, res) => {
+    serveStatic(req, res).catch(() => {
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const key = req.headers["sec-websocket-key"];
+    if ((req.headers.upgrade || "").toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    if (head.length) socket.unshift(head); // frames that came in with the upgrade request
+    const conn = createConnection(socket, {
+      onMessage: (text) => hub.onMessage(conn, text),
+      onClose: () => {
+        conns.delete(conn);
+        hub.onClose(conn);
+      },
+    });
+    conns.add(conn);
+  });
+
+  // drop sockets that stopped answering pings (sleeping laptops, dead wifi)
+  const heartbeatId = setInterval(() => {
+    for (const conn of conns) {
+      if (!conn.alive) {
+        conn.close(1001);
+        continue;
+      }
+      conn.alive = false;
+      conn.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeatId.unref(); // the listening server is what keeps the process up
+  server.on("close", () => clearInterval(heartbeatId));
+
+  return server;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: String(DEFAULT_PORT) },
+      host: { type: "string", default: "0.0.0.0" },
+    },
+  });
+  const port = parseInt(values.port, 10);
+  if (!(port >= 0 && port < 65536)) {
+    process.stderr.write(`race_server: --port must be 0..65535, got "${values.port}"\n`);
+    process.exit(1);
+  }
+  createRaceServer().listen(port, values.host, () => {
+    process.stdout.write(`Just Click race server on http://localhost:${port}/ (ws://localhost:${port})\n`);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
+
+export { encodeFrame, createFrameReader };
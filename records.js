@@ -0,0 +1,243 @@
+"use strict";
+
+/**
+ * records.js
+ * - Local run history + personal bests (localStorage, per browser).
+ * - One store { runs, bests, daily, attempts }: bests are keyed mode|pieceCount, attempts
+ *   seed|mode|pieceCount|shape, each followed by the board's non-default shape / variant keys.
+ * - Exposes window.JC.saveRun(run), JC.getBest(board), JC.getRuns(), JC.startDailyAttempt(dayKey, seed),
+ *   JC.saveDailyResult(dayKey, run), JC.getDailyResults(), JC.startAttempt(board), JC.getAttempts(board)
+ *   and the variant keys JC.rulesKey, orderKey, symbolsKey, runKey, genKey and studyKey
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+
+  const STORAGE_KEY = "justclick.records.v1";
+  const MAX_RUNS = 500;
+  const MAX_REPLAYS = 50;
+  const MAX_ATTEMPT_BOARDS = 200;
+  const DEFAULT_RULE = "fixed";
+  const DEFAULT_PENALTY_SEC = 10;
+
+  // runs: newest last; bests: bestKey -> run; daily: dayKey -> result; attempts: boardKey -> tries
+  function emptyStore() {
+    return { runs: [], bests: {}, daily: {}, attempts: {} };
+  }
+
+  function loadStore() {
+    try {
+      const raw = global.localStorage.getItem(STORAGE_KEY);
+      if (!raw) return emptyStore();
+      const data = JSON.parse(raw);
+      return {
+        runs: Array.isArray(data?.runs) ? data.runs : [],
+        bests: data?.bests && typeof data.bests === "object" ? data.bests : {},
+        daily: data?.daily && typeof data.daily === "object" ? data.daily : {},
+        attempts: data?.attempts && typeof data.attempts === "object" ? data.attempts : {},
+      };
+    } catch (e) {
+      // storage disabled or corrupted: start fresh rather than break the game
+      return emptyStore();
+    }
+  }
+
+  function saveStore(store) {
+    try {
+      global.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    } catch (e) {
+      // quota / private mode: the run just isn't persisted
+    }
+  }
+
+  // fixed (+penaltySec per miss), escalating (+penaltySec x streak), suddenDeath or practice;
+  // "" for the classic fixed +10s, so runs from before penalty rules keep their keys
+  function rulesKey(rule = DEFAULT_RULE, penaltySec = DEFAULT_PENALTY_SEC) {
+    if (rule === "practice") return "practice";
+    if (rule === "suddenDeath") return "sudden";
+    if (rule === "escalating") return `esc${penaltySec}`;
+    return penaltySec === DEFAULT_PENALTY_SEC ? "" : `fixed${penaltySec}`;
+  }
+
+  // "" for the classic 1..N
+  function orderKey(order = "up", multipleK) {
+    if (order === "multiples") return `mult${multipleK}`;
+    return order === "up" ? "" : order;
+  }
+
+  function symbolsKey(symbols = "digits") {
+    return symbols === "digits" ? "" : symbols;
+  }
+
+  // timeAttack / endless runs are scored (higher is better); "" for the classic sprint on time
+  function runKey(run = "sprint") {
+    return run === "sprint" ? "" : run;
+  }
+
+  // JC.tuningCode of the board profile, "" for the uniform generator
+  function genKey(gen = "") {
+    return String(gen || "");
+  }
+
+  // seconds of study before the clock started, "" without a study phase
+  function studyKey(studySec = 0) {
+    return studySec > 0 ? `study${studySec | 0}` : "";
+  }
+
+  function variantKeys(run) {
+    return [
+      rulesKey(run.rule, run.penaltySec),
+      orderKey(run.order, run.multipleK),
+      symbolsKey(run.symbols),
+      runKey(run.run),
+      genKey(run.gen),
+      studyKey(run.studySec),
+    ];
+  }
+
+  // square and empty variants add nothing, so older bests keep their keys
+  function bestKey(board) {
+    let key = `${board.mode || "normal"}|${board.pieceCount | 0}`;
+    if (board.shape && board.shape !== "square") key += `|${board.shape}`;
+    for (const v of variantKeys(board)) if (v) key += `|${v}`;
+    return key;
+  }
+
+  // one layout to practise: the seed is part of the key
+  function boardKey(board) {
+    let key = `${board.seed}|${board.mode}|${board.pieceCount}|${board.shape || "square"}`;
+    for (const v of variantKeys(board)) if (v) key += `|${v}`;
+    return key;
+  }
+
+  // Returns { isBest, prevBest, entry } so the caller can celebrate a new record.
+  function saveRun(run) {
+    const store = loadStore();
+    const entry = {
+      seed: String(run.seed || ""),
+      mode: String(run.mode || "normal"),
+      pieceCount: run.pieceCount | 0,
+      shape: String(run.shape || "square"),
+      order: String(run.order || "up"),
+      symbols: String(run.symbols || "digits"),
+      rule: String(run.rule || DEFAULT_RULE),
+      penaltySec: run.penaltySec ?? DEFAULT_PENALTY_SEC,
+      elapsedMs: Math.round(run.elapsedMs),
+      wrongCount: run.wrongCount | 0,
+      at: run.at ?? Date.now(),
+    };
+    if (entry.order === "multiples") entry.multipleK = run.multipleK | 0;
+    if (run.failed) entry.failed = true;
+    if (run.attempt > 0) entry.attempt = run.attempt | 0;
+    if (run.studySec > 0) entry.studySec = run.studySec | 0;
+    if (runKey(run.run)) {
+      entry.run = String(run.run);
+      entry.score = run.score | 0;
+    }
+    if (genKey(run.gen)) entry.gen = genKey(run.gen);
+    if (Array.isArray(run.events)) entry.events = run.events;
+
+    store.runs.push(entry);
+    if (store.runs.length > MAX_RUNS) store.runs.splice(0, store.runs.length - MAX_RUNS);
+    // click logs stay on the latest MAX_REPLAYS runs and on bests
+    for (let i = 0; i < store.runs.length - MAX_REPLAYS; i++) delete store.runs[i].events;
+
+    const key = bestKey(entry);
+    const prevBest = store.bests[key] || null;
+    const scored = entry.score != null;
+    // failed runs are never bests
+    const isBest = !entry.failed && (!prevBest || (scored ? entry.score > prevBest.score : entry.elapsedMs < prevBest.elapsedMs));
+    if (isBest) store.bests[key] = entry;
+
+    // attempts only track a best time for sprints
+    const tries = store.attempts[boardKey(entry)];
+    if (tries && !scored && !entry.failed && (tries.bestMs == null || entry.elapsedMs < tries.bestMs)) {
+      tries.bestMs = entry.elapsedMs;
+    }
+
+    saveStore(store);
+    return { isBest, prevBest, entry };
+  }
+
+  // board: the run's fields as saveRun takes them (mode, pieceCount, shape, rule, order, ...)
+  function getBest(board) {
+    return loadStore().bests[bestKey(board)] || null;
+  }
+
+  // newest last
+  function getRuns() {
+    return loadStore().runs;
+  }
+
+  // First start wins: it is recorded as a DNF right away. Later starts return
+  // { official: false } and change nothing.
+  function startDailyAttempt(dayKey, seed) {
+    const store = loadStore();
+    if (store.daily[dayKey]) return { official: false, result: store.daily[dayKey] };
+
+    const result = { seed: String(seed || ""), elapsedMs: null, wrongCount: 0, at: Date.now(), dnf: true };
+    store.daily[dayKey] = result;
+    saveStore(store);
+    return { official: true, result };
+  }
+
+  // Finishes the official attempt (the caller only passes the run startDailyAttempt let in);
+  // a day that already has a time returns { official: false } and changes nothing.
+  function saveDailyResult(dayKey, run) {
+    const store = loadStore();
+    const prev = store.daily[dayKey];
+    if (prev && !prev.dnf) return { official: false, result: prev };
+
+    const result = {
+      seed: String(run.seed || ""),
+      elapsedMs: Math.round(run.elapsedMs),
+      wrongCount: run.wrongCount | 0,
+      at: run.at ?? Date.now(),
+    };
+    store.daily[dayKey] = result;
+    saveStore(store);
+    return { official: true, result };
+  }
+
+  // dayKey ("YYYY-MM-DD", UTC) -> result
+  function getDailyResults() {
+    return loadStore().daily;
+  }
+
+  // Counts one more start of this board and returns its attempt number (1 = first try).
+  function startAttempt(board) {
+    const store = loadStore();
+    const key = boardKey(board);
+    const tries = store.attempts[key] || { count: 0, bestMs: null };
+    tries.count++;
+    tries.at = Date.now();
+    // re-insert so key order stays oldest-first
+    delete store.attempts[key];
+    store.attempts[key] = tries;
+
+    const keys = Object.keys(store.attempts);
+    for (let i = 0; i < keys.length - MAX_ATTEMPT_BOARDS; i++) delete store.attempts[keys[i]];
+
+    saveStore(store);
+    return tries.count;
+  }
+
+  // -> { count, bestMs, at } or null if this board was never started
+  function getAttempts(board) {
+    return loadStore().attempts[boardKey(board)] || null;
+  }
+
+  JC.saveRun = saveRun;
+  JC.getBest = getBest;
+  JC.getRuns = getRuns;
+  JC.startDailyAttempt = startDailyAttempt;
+  JC.saveDailyResult = saveDailyResult;
+  JC.getDailyResults = getDailyResults;
+  JC.startAttempt = startAttempt;
+  JC.getAttempts = getAttempts;
+  JC.rulesKey = rulesKey;
+  JC.orderKey = orderKey;
+  JC.symbolsKey = symbolsKey;
+  JC.runKey = runKey;
+  JC.genKey = genKey;
+  JC.studyKey = studyKey;
+})(window);
@@ -4,9 +4,11 @@
  * rng.js
  * - Seeded RNG helpers used by board generation.
  * - Exposes window.JC.makeRng(seedStr) and window.JC.shuffleInPlace(arr, rand)
+ * - Under CommonJS (Node) exports { makeRng, shuffleInPlace } instead of touching globals.
  */
 (function (global) {
-  const JC = (global.JC = global.JC || {});
+  const isCommonJS = typeof module === "object" && !!module && !!module.exports;
+  const JC = isCommonJS ? {} : (global.JC = global.JC || {});
 
   function xmur3(str) {
     let h = 1779033703 ^ str.length;
@@ -48,4 +50,5 @@
 
   JC.makeRng = makeRng;
   JC.shuffleInPlace = shuffleInPlace;
-})(window);
+  if (isCommonJS) module.exports = JC;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * symbols.js
+ * - Symbol sets: how piece number n is written on the board and in the banner.
+ * - The game is still "click 1..N in order"; only the notation changes.
+ * - Built in: digits (default), letters (A..Z, AA..), roman, chinese, math (an expression
+ *   whose value is n, e.g. "3×4" for 12, drawn from the board seed so replays match).
+ * - More sets plug in with JC.registerSymbolSet(id, { label, format(num, seedStr), maxCount? }).
+ *   maxCount: largest number the set stays readable up to (roman: 50; "XXXVIII" already needs
+ *   the smallest font in the smallest cells there). Endless runs count past any board size,
+ *   so sets with a maxCount don't fit them.
+ * - Exposes window.JC.SYMBOL_SETS (ids in menu order), JC.registerSymbolSet(id, def),
+ *   JC.symbolSetLabel(id), JC.symbolSetFits(id, pieceCount, endless) and JC.formatSymbol(id, num, seedStr)
+ */
+(function (global) {
+  const JC = (global.JC = global.JC || {});
+  const makeRng = JC.makeRng;
+
+  if (typeof makeRng !== "function") {
+    throw new Error("symbols.js: missing rng.js (window.JC.makeRng).");
+  }
+
+  const DEFAULT_SET = "digits";
+  const ROMAN_MAX_COUNT = 50;
+  const registry = new Map();
+  const SYMBOL_SETS = [];
+
+  function registerSymbolSet(id, def) {
+    if (!registry.has(id)) SYMBOL_SETS.push(id);
+    registry.set(id, def);
+  }
+
+  function symbolSetLabel(id) {
+    return (registry.get(id) || registry.get(DEFAULT_SET)).label;
+  }
+
+  // Unknown sets are digits, which fit any board
+  function symbolSetFits(id, pieceCount, endless = false) {
+    const max = registry.get(id)?.maxCount;
+    return !(max > 0) || (!endless && pieceCount <= max);
+  }
+
+  // Unknown sets fall back to digits
+  function formatSymbol(id, num, seedStr) {
+    const def = registry.get(id) || registry.get(DEFAULT_SET);
+    return def.format(num, seedStr || "");
+  }
+
+  // 1 -> A, 26 -> Z, 27 -> AA (spreadsheet columns)
+  function toLetters(num) {
+    let s = "";
+    for (let n = num; n > 0; n = Math.floor((n - 1) / 26)) {
+      s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    }
+    return s;
+  }
+
+  const ROMAN = [
+    [1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"],
+    [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"],
+  ];
+  function toRoman(num) {
+    let s = "";
+    let n = num;
+    for (const [v, sym] of ROMAN) {
+      while (n >= v) { s += sym; n -= v; }
+    }
+    return s;
+  }
+
+  // 十一, 二十, 一百零五, 一百一十; from 1000 on (endless runs) plain digits
+  const CN_DIGITS = "零一二三四五六七八九";
+  function toChinese(num) {
+    if (num > 999) return String(num);
+    if (num < 10) return CN_DIGITS[num];
+    if (num < 20) return "十" + (num % 10 ? CN_DIGITS[num % 10] : "");
+    if (num < 100) return CN_DIGITS[Math.floor(num / 10)] + "十" + (num % 10 ? CN_DIGITS[num % 10] : "");
+
+    const rest = num % 100;
+    const head = CN_DIGITS[Math.floor(num / 100)] + "百";
+    if (rest === 0) return head;
+    if (rest < 10) return head + "零" + CN_DIGITS[rest];
+    return head + CN_DIGITS[Math.floor(rest / 10)] + "十" + (rest % 10 ? CN_DIGITS[rest % 10] : "");
+  }
+
+  // a+b, a−b, a×b or a÷b equal to num, small operands, picked per (seed, num)
+  function toExpression(num, seedStr) {
+    const { rand } = makeRng(`${seedStr}|expr|${num}`);
+    const pick = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+
+    const forms = ["sub"];
+    if (num >= 2) forms.push("add");
+    if (num <= 20) forms.push("div");
+    const factors = [];
+    for (let a = 2; a * a <= num; a++) if (num % a === 0) factors.push(a);
+    if (factors.length) forms.push("mul", "mul"); // favour products when there are any
+
+    const form = forms[Math.floor(rand() * forms.length)];
+    if (form === "mul") {
+      const a = factors[Math.floor(rand() * factors.length)];
+      return rand() < 0.5 ? `${a}×${num / a}` : `${num / a}×${a}`;
+    }
+    if (form === "add") {
+      const a = pick(1, num - 1);
+      return `${a}+${num - a}`;
+    }
+    if (form === "div") {
+      const b = pick(2, 5);
+      return `${num * b}÷${b}`;
+    }
+    const b = pick(1, 9);
+    return `${num + b}−${b}`;
+  }
+
+  registerSymbolSet("digits", { label: "123", format: (num) => String(num) });
+  registerSymbolSet("letters", { label: "ABC", format: toLetters });
+  registerSymbolSet("roman", { label: "Roman", format: toRoman, maxCount: ROMAN_MAX_COUNT });
+  registerSymbolSet("chinese", { label: "一二三", format: toChinese });
+  registerSymbolSet("math", { label: "3×4", format: toExpression });
+
+  JC.SYMBOL_SETS = SYMBOL_SETS;
+  JC.registerSymbolSet = registerSymbolSet;
+  JC.symbolSetLabel = symbolSetLabel;
+  JC.symbolSetFits = symbolSetFits;
+  JC.formatSymbol = formatSymbol;
+})(window);
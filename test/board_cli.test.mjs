@@ -0,0 +1,34 @@
+/**
+ * board_cli suite (node:test): argument checks, run as a child process.
+ *
+ *   npm install --no-save d3-delaunay
+ *   node --test test/
+ */
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../board_cli.mjs", import.meta.url));
+
+function runCli(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 60000 });
+}
+
+describe("board_cli", () => {
+  test("piece counts outside the game's 5..300 range fail", () => {
+    for (const n of ["2", "1", "0", "4", "301", "100000", "2.5", "x"]) {
+      const { status, stderr } = runCli("--seed", "abc", "--n", n);
+      assert.equal(status, 1, `--n ${n}`);
+      assert.match(stderr, /--n must be a whole number from 5 to 300/, `--n ${n}`);
+    }
+  });
+
+  test("the range ends print a board", () => {
+    for (const n of ["5", "300"]) {
+      const { status, stdout } = runCli("--seed", "abc", "--n", n);
+      assert.equal(status, 0, `--n ${n}`);
+      assert.equal(JSON.parse(stdout).cells.length, Number(n));
+    }
+  });
+});
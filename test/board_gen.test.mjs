@@ -0,0 +1,384 @@
+/**
+ * Board generation regression suite (node:test, no extra runner).
+ *
+ *   npm install --no-save d3-delaunay
+ *   node --test test/
+ *   JC_TEST_SEEDS=5000 node --test test/   # deeper sweep
+ *
+ * Every board must have exactly N healthy cells numbered 1..N that tile the outline
+ * without gaps or overlaps, with each label circle inside its cell, and the same seed must always give the same bytes.
+ * GOLDEN pins a few boards so generator changes can't silently reshuffle shared seeds.
+ */
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { createRequire } from "node:module";
+import { Delaunay } from "d3-delaunay";
+
+const require = createRequire(import.meta.url);
+const {
+  buildBoard, BOARD_SHAPES, BOARD_LAYOUTS, MOTIFS, registerMotif, unregisterMotif, setDelaunay,
+  TUNING_PROFILES, TUNING_LIMITS, resolveTuning, tuningCode, parseTuningCode, shapeCode,
+  parseShapePoints,
+} = require("../board_gen.js");
+const { makeRng } = require("../rng.js");
+
+setDelaunay(Delaunay);
+
+const SIZE = 1000;
+const RELAX_ITERS = 3; // the uniform profile's relaxIters, what the game uses
+const PRESET_COUNTS = [12, 20, 50, 100];
+const CUSTOM_COUNTS = [5, 7, 13, 37, 73, 101, 150, 300];
+const SEEDS = Math.max(1, parseInt(process.env.JC_TEST_SEEDS || "1000", 10));
+const CUSTOM_SEEDS = Math.max(1, Math.floor(SEEDS / 10));
+const SHAPE_SEEDS = Math.max(1, Math.floor(SEEDS / 20));
+const MOTIF_SEEDS = Math.max(1, Math.floor(SEEDS / 20));
+const MOTIF_COUNTS = [20, 50, 100];
+const LAYOUT_SEEDS = Math.max(1, Math.floor(SEEDS / 20));
+const LAYOUT_COUNTS = [5, 20, 50, 100];
+const PROFILE_SEEDS = Math.max(1, Math.floor(SEEDS / 20));
+const PROFILE_COUNTS = [5, 20, 50, 100];
+const COVERAGE_SAMPLES = 200;
+
+// hashCells(...) for seed "golden-<n>"
+const GOLDEN = {
+  "square|12": "36ac2fa7ef91a639",
+  "square|20": "ffd78da933c90f17",
+  "square|50": "d0e8f3b5221e3ad5",
+  "square|100": "ec4901c8640bdc16",
+  "circle|50": "71791857bf4dbc6a",
+  "hexagon|50": "c6d419b0cdeecef4",
+  "wide|50": "81f403c388b68ca5",
+  "tall|50": "1528cff122a2fec4",
+};
+
+function board(seedStr, pieceCount, shape = "square", extra = {}) {
+  return buildBoard({ seedStr, pieceCount, shape, relaxIters: RELAX_ITERS, ...extra }, SIZE);
+}
+
+function signedArea(poly) {
+  let a = 0;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    a += poly[j][0] * poly[i][1] - poly[i][0] * poly[j][1];
+  }
+  return a * 0.5;
+}
+
+// >0 strictly inside, ~0 on the boundary, <0 outside (convex polygons, either winding)
+function insideMargin(poly, p) {
+  const sign = signedArea(poly) >= 0 ? 1 : -1;
+  let margin = Infinity;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[j], b = poly[i];
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (len < 1e-9) continue; // repeated vertex
+    const cross = (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+    margin = Math.min(margin, (sign * cross) / len);
+  }
+  return margin;
+}
+
+function checkBoard(seed, n, shape, extra = {}) {
+  const where =
+    `seed=${seed} n=${n} shape=${shape}` +
+    `${extra.motifs ? ` motifs=${extra.motifs}` : ""}${extra.layout ? ` layout=${extra.layout}` : ""}` +
+    `${extra.profile ? ` gen=${tuningCode(extra.profile, extra.tuning) || "uniform"}` : ""}`;
+  const { cells, outline, countFix } = board(seed, n, shape, extra);
+
+  assert.equal(countFix, 0, `${where}: generator produced ${n + countFix} cells before truncate/pad`);
+  assert.equal(cells.length, n, `${where}: cell count`);
+
+  const nums = cells.map((c) => c.num).sort((a, b) => a - b);
+  nums.forEach((num, i) => assert.equal(num, i + 1, `${where}: numbers must be exactly 1..${n}`));
+
+  const outlineArea = Math.abs(signedArea(outline.poly));
+  const avgArea = outlineArea / n;
+  let sum = 0;
+  for (const c of cells) {
+    assert.ok(c.poly.length >= 3, `${where}: cell ${c.num} has ${c.poly.length} vertices`);
+    for (const v of c.poly) {
+      assert.ok(Number.isFinite(v[0]) && Number.isFinite(v[1]), `${where}: cell ${c.num} has a non-finite vertex`);
+      assert.ok(insideMargin(outline.poly, v) > -1e-6, `${where}: cell ${c.num} leaves the outline`);
+    }
+    const { x, y, r, fontSize } = c.label;
+    assert.ok(insideMargin(c.poly, [x, y]) >= r - 1e-6, `${where}: cell ${c.num} label circle leaves the cell`);
+    assert.ok(fontSize >= 10 && fontSize <= 72, `${where}: cell ${c.num} font size ${fontSize}`);
+
+    const a = Math.abs(signedArea(c.poly));
+    assert.ok(a > avgArea * 1e-3, `${where}: cell ${c.num} is degenerate (area ${a.toFixed(3)})`);
+    sum += a;
+  }
+  assert.ok(Math.abs(sum - outlineArea) < outlineArea * 1e-6, `${where}: cells cover ${sum} of ${outlineArea}`);
+
+  // equal area sum + every sample in exactly one cell => no overlaps, no holes
+  const { rand } = makeRng(`coverage|${seed}`);
+  for (let k = 0; k < COVERAGE_SAMPLES; k++) {
+    const p = [rand() * outline.width, rand() * outline.height];
+    if (insideMargin(outline.poly, p) <= 1e-6) continue;
+    let inside = 0, touching = 0;
+    for (const c of cells) {
+      const m = insideMargin(c.poly, p);
+      if (m > 1e-6) inside++;
+      else if (m > -1e-6) touching++;
+    }
+    assert.ok(inside <= 1, `${where}: point ${p} lies inside ${inside} cells`);
+    assert.ok(inside + touching >= 1, `${where}: point ${p} is not covered`);
+  }
+}
+
+// geometry + numbering only, so extra per-cell fields don't count as a board change
+function hashCells(cells) {
+  const core = cells.map((c) => [c.num, c.poly]);
+  return createHash("sha256").update(JSON.stringify(core)).digest("hex").slice(0, 16);
+}
+
+describe("preset piece counts", () => {
+  for (const n of PRESET_COUNTS) {
+    test(`${n} pieces x ${SEEDS} seeds`, () => {
+      for (let s = 0; s < SEEDS; s++) checkBoard(`reg-${s}`, n, "square");
+    });
+  }
+});
+
+describe("custom piece counts", () => {
+  for (const n of CUSTOM_COUNTS) {
+    test(`${n} pieces x ${CUSTOM_SEEDS} seeds`, () => {
+      for (let s = 0; s < CUSTOM_SEEDS; s++) checkBoard(`reg-${s}`, n, "square");
+    });
+  }
+});
+
+describe("board shapes", () => {
+  for (const shape of BOARD_SHAPES) {
+    test(`${shape} x ${SHAPE_SEEDS} seeds`, () => {
+      for (const n of PRESET_COUNTS) {
+        for (let s = 0; s < SHAPE_SEEDS; s++) checkBoard(`reg-${s}`, n, shape);
+      }
+    });
+  }
+
+  test("custom outlines as text build the same board as their points", () => {
+    const kite = [[50, 0], [100, 40], [50, 100], [0, 40], [50, 50]]; // inner point drops out
+    const code = shapeCode(kite);
+    assert.equal(code, "poly:0,40;50,0;100,40;50,100");
+    assert.deepEqual(parseShapePoints(code), [[0, 40], [50, 0], [100, 40], [50, 100]]);
+    for (let s = 0; s < 3; s++) {
+      checkBoard(`kite-${s}`, 20, code);
+      assert.equal(hashCells(board(`kite-${s}`, 20, code).cells), hashCells(board(`kite-${s}`, 20, kite).cells));
+    }
+    for (const bad of ["circle", "poly:", "poly:0,0;1,1;2,2", "poly:0,0;5,x;5,5"]) {
+      assert.equal(parseShapePoints(bad), null, bad);
+    }
+    assert.equal(shapeCode([[0, 0], [1, 1]]), "");
+  });
+});
+
+describe("quality metrics", () => {
+  test("metrics are finite and consistent", () => {
+    for (const n of PRESET_COUNTS) {
+      for (let s = 0; s < 20; s++) {
+        const { metrics } = board(`q-${s}`, n);
+        const where = `seed=q-${s} n=${n}`;
+        for (const [k, v] of Object.entries(metrics)) assert.ok(Number.isFinite(v), `${where}: ${k} = ${v}`);
+        assert.ok(metrics.minAreaRatio > 0 && metrics.minAreaRatio <= 1, `${where}: minAreaRatio`);
+        assert.ok(metrics.maxAreaRatio >= 1, `${where}: maxAreaRatio`);
+        assert.ok(metrics.minInscribedRatio > 0, `${where}: minInscribedRatio`);
+        assert.ok(metrics.labelClearanceRatio <= metrics.minInscribedRatio + 1e-9, `${where}: clearance above inscribed radius`);
+        assert.ok(metrics.fairness > 0 && metrics.fairness <= 1, `${where}: fairness`);
+      }
+    }
+  });
+
+  for (const qualityFix of ["reject", "repair"]) {
+    test(`${qualityFix} gate only changes boards below the threshold`, () => {
+      for (let s = 0; s < 40; s++) {
+        const cfg = { seedStr: `q-${s}`, pieceCount: 50, relaxIters: RELAX_ITERS };
+        const plain = buildBoard(cfg, SIZE);
+        const gated = buildBoard({ ...cfg, minFairness: 0.8, qualityFix }, SIZE);
+        const where = `seed=q-${s} fix=${qualityFix}`;
+
+        assert.equal(JSON.stringify(gated), JSON.stringify(buildBoard({ ...cfg, minFairness: 0.8, qualityFix }, SIZE)), `${where}: not deterministic`);
+        if (plain.metrics.fairness >= 0.8) {
+          assert.equal(hashCells(gated.cells), hashCells(plain.cells), `${where}: fair board was rebuilt`);
+          assert.equal(gated.quality.attempts, 1, where);
+        } else {
+          assert.ok(gated.metrics.fairness >= plain.metrics.fairness, `${where}: gate kept a worse board`);
+          assert.ok(gated.quality.relaxIters <= Math.max(RELAX_ITERS, TUNING_LIMITS.relaxIters.max), where);
+        }
+        // the recorded seed / iterations rebuild the accepted board without the gate
+        const again = buildBoard({ ...cfg, seedStr: gated.quality.seedStr, relaxIters: gated.quality.relaxIters }, SIZE);
+        assert.equal(hashCells(again.cells), hashCells(gated.cells), `${where}: quality record does not reproduce the board`);
+      }
+    });
+  }
+});
+
+describe("motifs", () => {
+  for (const id of MOTIFS) {
+    test(`${id} boards are healthy`, () => {
+      for (const n of MOTIF_COUNTS) {
+        for (let s = 0; s < MOTIF_SEEDS; s++) checkBoard(`motif-${id}-${s}`, n, "square", { motifs: [id] });
+      }
+    });
+  }
+
+  test("config.motifs draws from the list; [] and unknown ids leave the board unstructured", () => {
+    const calls = [];
+    registerMotif("test-line", {
+      minPoints: 3,
+      chooseParam: () => ({ count: 3 }),
+      extent: (param, avg) => avg * 2,
+      points(param, extent) {
+        calls.push(param);
+        return { offsets: [[-extent, 0], [0, 0], [extent, 0]], extent };
+      },
+    });
+    try {
+      assert.ok(MOTIFS.includes("test-line"));
+
+      checkBoard("motif-custom", 100, "square", { motifs: ["test-line"] });
+      assert.equal(calls.length, 3, "one motif per macro region at 100 pieces");
+      assert.deepEqual(calls[0], { id: "test-line", count: 3 });
+    } finally {
+      assert.ok(unregisterMotif("test-line"));
+    }
+    assert.ok(!MOTIFS.includes("test-line"));
+
+    const none = hashCells(board("motif-none", 50, "square", { motifs: [] }).cells);
+    assert.equal(hashCells(board("motif-none", 50, "square", { motifs: ["nope"] }).cells), none);
+    assert.notEqual(hashCells(board("motif-none", 50).cells), none);
+  });
+
+  test("built-in ids and incomplete defs are rejected", () => {
+    const def = { minPoints: 3, chooseParam: () => ({ count: 3 }), extent: () => 1, points: () => ({ offsets: [], extent: 1 }) };
+    const before = [...MOTIFS];
+    assert.throws(() => registerMotif("grid", def), /built-in/);
+    assert.throws(() => registerMotif("", def), /id/);
+    assert.throws(() => registerMotif("x", { ...def, minPoints: 0 }), /minPoints/);
+    assert.throws(() => registerMotif("x", { ...def, points: null }), /points/);
+    assert.throws(() => registerMotif("x"), /minPoints/);
+    assert.equal(unregisterMotif("grid"), false);
+    assert.equal(unregisterMotif("nope"), false);
+    assert.deepEqual([...MOTIFS], before);
+  });
+});
+
+describe("layouts", () => {
+  for (const layout of BOARD_LAYOUTS) {
+    test(`${layout} boards are healthy on every shape`, () => {
+      for (const n of LAYOUT_COUNTS) {
+        for (let s = 0; s < LAYOUT_SEEDS; s++) {
+          checkBoard(`layout-${layout}-${s}`, n, BOARD_SHAPES[s % BOARD_SHAPES.length], { layout });
+        }
+      }
+    });
+  }
+
+  test("strips3 is the default; unknown layouts fall back to it", () => {
+    const base = hashCells(board("layout-default", 50).cells);
+    assert.equal(hashCells(board("layout-default", 50, "square", { layout: "strips3" }).cells), base);
+    assert.equal(hashCells(board("layout-default", 50, "square", { layout: "nope" }).cells), base);
+    for (const layout of BOARD_LAYOUTS.filter((id) => id !== "strips3")) {
+      assert.notEqual(hashCells(board("layout-default", 50, "square", { layout }).cells), base, layout);
+    }
+  });
+
+  test("regions that miss a thin custom outline are dropped", () => {
+    const sliver = [[0, 0], [100, 90], [100, 100], [0, 10]]; // diagonal: island and wedges lose regions
+    for (const layout of ["island", "wedges", "quadrants"]) {
+      for (let s = 0; s < 5; s++) checkBoard(`layout-thin-${s}`, 30, sliver, { layout });
+    }
+  });
+});
+
+describe("tuning profiles", () => {
+  const extremes = {
+    high: Object.fromEntries(Object.entries(TUNING_LIMITS).map(([f, lim]) => [f, lim.max])),
+    low: Object.fromEntries(Object.entries(TUNING_LIMITS).map(([f, lim]) => [f, lim.min])),
+  };
+  const cases = [["clustered"], ["chaotic"], ["custom", extremes.high], ["custom", extremes.low]];
+
+  for (const [profile, tuning] of cases) {
+    test(`${tuningCode(profile, tuning)} boards are healthy`, () => {
+      // relaxIters comes from the profile here, not from RELAX_ITERS
+      for (const n of PROFILE_COUNTS) {
+        for (let s = 0; s < PROFILE_SEEDS; s++) {
+          const seed = `profile-${profile}-${s}`;
+          const shape = BOARD_SHAPES[s % BOARD_SHAPES.length];
+          checkBoard(seed, n, shape, { profile, tuning, relaxIters: undefined });
+        }
+      }
+    });
+  }
+
+  test("uniform is the classic generator and sets the default Lloyd passes", () => {
+    const base = hashCells(board("profile-default", 50).cells);
+    assert.equal(hashCells(board("profile-default", 50, "square", { profile: "uniform" }).cells), base);
+    assert.equal(hashCells(board("profile-default", 50, "square", { profile: "nope" }).cells), base);
+    const implicit = buildBoard({ seedStr: "profile-default", pieceCount: 50 }, SIZE);
+    assert.equal(hashCells(implicit.cells), base);
+    assert.equal(implicit.quality.relaxIters, RELAX_ITERS);
+    for (const profile of ["clustered", "chaotic"]) {
+      const other = buildBoard({ seedStr: "profile-default", pieceCount: 50, profile }, SIZE);
+      assert.notEqual(hashCells(other.cells), base, profile);
+      assert.equal(other.quality.relaxIters, resolveTuning(profile).relaxIters);
+    }
+  });
+
+  test("custom values are clamped, and codes round-trip", () => {
+    assert.ok(TUNING_PROFILES.includes("custom"));
+    const t = resolveTuning("custom", { microFrac: 2, alpha: "4", relaxIters: 2.6, kingStrength: "", structFrac: null });
+    assert.deepEqual(t, { ...resolveTuning("uniform"), microFrac: 1, alpha: 4, relaxIters: 3 });
+    assert.deepEqual(resolveTuning("clustered", { alpha: 8 }), resolveTuning("clustered"));
+
+    assert.equal(tuningCode("uniform"), "");
+    assert.equal(tuningCode("chaotic", { alpha: 8 }), "chaotic");
+    const code = tuningCode("custom", { microFrac: 0.9, relaxIters: 1 });
+    assert.equal(code, "custom:0.9,3,0.6,0,0.4,1");
+    assert.deepEqual(parseTuningCode(code), { profile: "custom", tuning: resolveTuning("custom", { microFrac: 0.9, relaxIters: 1 }) });
+    assert.deepEqual(parseTuningCode("chaotic"), { profile: "chaotic", tuning: null });
+    assert.deepEqual(parseTuningCode("custom:9,x"), { profile: "custom", tuning: { ...resolveTuning("uniform"), microFrac: 1 } });
+    assert.deepEqual(parseTuningCode("weird"), { profile: "uniform", tuning: null });
+
+    const a = board("profile-code", 50, "square", { profile: "custom", tuning: { microFrac: 0.9, relaxIters: 1 }, relaxIters: undefined });
+    const b = board("profile-code", 50, "square", { ...parseTuningCode(code), relaxIters: undefined });
+    assert.equal(hashCells(a.cells), hashCells(b.cells));
+  });
+});
+
+describe("labels", () => {
+  test("labelFor text is fitted inside its cell without changing the board", () => {
+    for (let s = 0; s < 20; s++) {
+      const cfg = { seedStr: `lbl-${s}`, pieceCount: 50, relaxIters: RELAX_ITERS };
+      const plain = buildBoard(cfg, SIZE);
+      const wide = buildBoard({ ...cfg, labelFor: (num) => `${num + 10}−10` }, SIZE);
+      const where = `seed=lbl-${s}`;
+      assert.equal(hashCells(wide.cells), hashCells(plain.cells), `${where}: labels changed the geometry`);
+      wide.cells.forEach((c, i) => {
+        const { x, y, r } = c.label;
+        assert.ok(insideMargin(c.poly, [x, y]) >= r - 1e-6, `${where}: cell ${c.num} label circle leaves the cell`);
+        assert.ok(c.label.fontSize <= plain.cells[i].label.fontSize, `${where}: cell ${c.num} longer text got a bigger font`);
+      });
+    }
+  });
+});
+
+describe("determinism", () => {
+  test("same seed gives byte-identical boards", () => {
+    for (const n of PRESET_COUNTS) {
+      for (let s = 0; s < 20; s++) {
+        const a = JSON.stringify(board(`det-${s}`, n));
+        const b = JSON.stringify(board(`det-${s}`, n));
+        assert.equal(a, b, `seed=det-${s} n=${n}`);
+      }
+    }
+  });
+
+  test("golden boards are unchanged", () => {
+    for (const [key, expected] of Object.entries(GOLDEN)) {
+      const [shape, n] = key.split("|");
+      const got = hashCells(board(`golden-${n}`, Number(n), shape).cells);
+      assert.equal(got, expected, `${key}: board for seed golden-${n} changed (update GOLDEN only if intended)`);
+    }
+  });
+});
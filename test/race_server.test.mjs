@@ -0,0 +1,293 @@
+/**
+ * Race server suite (node:test, no extra runner, no dependencies).
+ *
+ *   node --test test/
+ *
+ * Room logic runs against fake connections with a fake clock; one test goes through a real
+ * socket to cover the WebSocket handshake and frames.
+ */
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { connect } from "node:net";
+import { once } from "node:events";
+import { request } from "node:http";
+import { basename, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRaceHub, createRaceServer, encodeFrame, createFrameReader } from "../race_server.mjs";
+
+function fakeHub() {
+  const clock = { now: 1000, timers: [] };
+  const hub = createRaceHub({
+    now: () => clock.now,
+    setTimer: (fn, ms) => {
+      const t = { fn, at: clock.now + ms };
+      clock.timers.push(t);
+      return t;
+    },
+    clearTimer: (t) => {
+      clock.timers = clock.timers.filter((x) => x !== t);
+    },
+  });
+  // runs timers that are due
+  clock.advance = (ms) => {
+    clock.now += ms;
+    const due = clock.timers.filter((t) => t.at <= clock.now);
+    clock.timers = clock.timers.filter((t) => t.at > clock.now);
+    for (const t of due) t.fn();
+  };
+  return { hub, clock };
+}
+
+function fakeConn(hub) {
+  const conn = {
+    inbox: [],
+    closedWith: null,
+    send: (msg) => conn.inbox.push(msg),
+    close: (code) => { conn.closedWith = code; },
+    say: (msg) => hub.onMessage(conn, JSON.stringify(msg)),
+    last: (type) => conn.inbox.filter((m) => m.type === type).at(-1),
+  };
+  return conn;
+}
+
+function joinAs(hub, name, room = "ROOM", id) {
+  const conn = fakeConn(hub);
+  conn.say({ type: "join", room, name, id });
+  conn.id = conn.last("joined").id;
+  return conn;
+}
+
+describe("rooms", () => {
+  test("first player hosts, only the host configures and starts", () => {
+    const { hub, clock } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    const b = joinAs(hub, "Bob");
+    assert.equal(b.last("room").hostId, a.id);
+    assert.deepEqual(b.last("room").players.map((p) => p.name), ["Ann", "Bob"]);
+
+    b.say({ type: "start" });
+    assert.equal(b.last("error").message, "Only the host can do that");
+
+    a.say({ type: "config", config: { seed: " s1 ", mode: "hard", pieceCount: 999 } });
+    assert.deepEqual(b.last("room").config, { seed: "s1", mode: "hard", pieceCount: 300 });
+
+    a.say({ type: "start" });
+    const room = b.last("room");
+    assert.equal(room.state, "racing");
+    assert.equal(room.raceNo, 1);
+    assert.equal(room.startAt, clock.now + 3000);
+    assert.equal(room.race.seed, "s1");
+    assert.ok(room.players.every((p) => p.inRace && p.current === 0 && p.total === 300));
+  });
+
+  test("a blank seed is rolled once for everyone", () => {
+    const { hub } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    const b = joinAs(hub, "Bob");
+    a.say({ type: "start" });
+    assert.ok(a.last("room").race.seed);
+    assert.equal(a.last("room").race.seed, b.last("room").race.seed);
+    assert.equal(a.last("room").config.seed, "");
+  });
+
+  test("progress streams and the race ends when every starter is done", () => {
+    const { hub } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    const b = joinAs(hub, "Bob");
+    a.say({ type: "start" });
+    const late = joinAs(hub, "Cat"); // joins mid-race: waits for the next one
+    assert.equal(late.last("room").players.find((p) => p.id === late.id).inRace, false);
+
+    b.say({ type: "progress", current: 7 });
+    assert.equal(a.last("room").players.find((p) => p.id === b.id).current, 7);
+
+    a.say({ type: "finish", current: 20, ms: 12345.6, wrong: 1 });
+    assert.equal(a.last("room").state, "racing");
+    b.say({ type: "finish", current: 7, failed: true });
+    const room = a.last("room");
+    assert.equal(room.state, "done");
+    assert.deepEqual(
+      room.players.map((p) => [p.name, p.finishMs, p.failed]),
+      [["Ann", 12346, false], ["Bob", null, true], ["Cat", null, false]]
+    );
+
+    b.say({ type: "progress", current: 9 }); // ignored once out
+    assert.equal(a.last("room").players.find((p) => p.id === b.id).current, 7);
+  });
+});
+
+describe("disconnects", () => {
+  test("a dropped player keeps their slot and progress within the grace period", () => {
+    const { hub, clock } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    const b = joinAs(hub, "Bob");
+    a.say({ type: "start" });
+    b.say({ type: "progress", current: 5 });
+
+    hub.onClose(b);
+    assert.equal(a.last("room").players.find((p) => p.id === b.id).connected, false);
+    clock.advance(10000);
+
+    const back = joinAs(hub, "Bob", "ROOM", b.id);
+    assert.equal(back.id, b.id);
+    const me = a.last("room").players.find((p) => p.id === b.id);
+    assert.deepEqual([me.connected, me.inRace, me.current], [true, true, 5]);
+    assert.equal(a.last("room").players.length, 2);
+  });
+
+  test("a player gone for good is dropped, the host role moves on and the race can end", () => {
+    const { hub, clock } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    const b = joinAs(hub, "Bob");
+    a.say({ type: "start" });
+    b.say({ type: "finish", current: 20, ms: 9000, wrong: 0 });
+
+    hub.onClose(a);
+    clock.advance(30000);
+    const room = b.last("room");
+    assert.equal(room.hostId, b.id);
+    assert.deepEqual(room.players.map((p) => p.name), ["Bob"]);
+    assert.equal(room.state, "done");
+  });
+
+  test("joining again from another tab replaces the old connection", () => {
+    const { hub } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    const again = joinAs(hub, "Ann", "ROOM", a.id);
+    assert.equal(a.closedWith, 4000);
+    hub.onClose(a); // the old socket closing must not mark the player offline
+    assert.equal(again.last("room").players[0].connected, true);
+  });
+
+  test("leave frees the slot at once and empty rooms go away", () => {
+    const { hub } = fakeHub();
+    const a = joinAs(hub, "Ann");
+    a.say({ type: "leave" });
+    assert.equal(hub.rooms.size, 0);
+  });
+});
+
+// masked client frame, as a browser sends it (fin = false: more fragments follow)
+function clientFrame(text, { opcode = 0x1, fin = true } = {}) {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = Buffer.from(payload.map((b, i) => b ^ mask[i & 3]));
+  const head = payload.length < 126
+    ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length])
+    : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([head, mask, masked]);
+}
+
+async function withServer(fn) {
+  const server = createRaceServer();
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  try {
+    await fn(server.address().port);
+  } finally {
+    server.close();
+    server.closeAllConnections?.();
+  }
+}
+
+function httpStatus(port, path) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: "127.0.0.1", port, path }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+describe("websocket", () => {
+  test("frames round-trip through the reader", () => {
+    const long = "x".repeat(300);
+    const frames = createFrameReader().push(clientFrame('{"a":1}'));
+    assert.equal(frames[0].payload.toString(), '{"a":1}');
+    assert.equal(encodeFrame(0x1, Buffer.from(long)).readUInt16BE(2), 300);
+    assert.throws(() => createFrameReader().push(encodeFrame(0x1, Buffer.from("hi"))), { code: 1002 });
+  });
+
+  test("static files: malformed paths get 400, nothing outside the folder is served", async () => {
+    const root = basename(dirname(dirname(fileURLToPath(import.meta.url))));
+    await withServer(async (port) => {
+      assert.equal(await httpStatus(port, "/%E0%A4%A"), 400);
+      assert.equal(await httpStatus(port, `/..%2F${root}-x%2Findex.html`), 404);
+      assert.equal(await httpStatus(port, "/..%2F..%2Fetc%2Fpasswd.js"), 404);
+      assert.equal(await httpStatus(port, "/netrace.js"), 200); // still up
+    });
+  });
+
+  test("endless non-final fragments are cut off with 1009", async () => {
+    await withServer(async (port) => {
+      const socket = connect(port, "127.0.0.1");
+      try {
+        await once(socket, "connect");
+        socket.write(
+          "GET / HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+          "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+        );
+        let data = Buffer.alloc(0);
+        socket.on("data", (chunk) => { data = Buffer.concat([data, chunk]); });
+        const chunk = "x".repeat(8 * 1024);
+        socket.write(clientFrame(chunk, { fin: false }));
+        for (let i = 0; i < 3 && !socket.destroyed; i++) socket.write(clientFrame(chunk, { opcode: 0x0, fin: false }));
+        await once(socket, "close");
+        const frame = data.subarray(data.indexOf("\r\n\r\n") + 4);
+        assert.equal(frame[0], 0x88); // close
+        assert.equal(frame.readUInt16BE(2), 1009);
+      } finally {
+        socket.destroy();
+      }
+    });
+  });
+
+  test("handshake, join and pong over a real socket", async () => {
+    const server = createRaceServer();
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const socket = connect(server.address().port, "127.0.0.1");
+    try {
+      await once(socket, "connect");
+      socket.write(
+        "GET / HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+        "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+      );
+      let data = Buffer.alloc(0);
+      let handshake = "";
+      const messages = [];
+      socket.on("data", (chunk) => {
+        data = Buffer.concat([data, chunk]);
+        if (!handshake) {
+          const end = data.indexOf("\r\n\r\n");
+          if (end < 0) return;
+          handshake = data.subarray(0, end).toString();
+          data = data.subarray(end + 4);
+        }
+        // unmasked server frames, short or 16-bit lengths
+        for (;;) {
+          if (data.length < 2) break;
+          const long = data[1] === 126;
+          const off = long ? 4 : 2;
+          const len = long ? (data.length >= 4 ? data.readUInt16BE(2) : Infinity) : data[1];
+          if (data.length < off + len) break;
+          messages.push(JSON.parse(data.subarray(off, off + len).toString()));
+          data = data.subarray(off + len);
+        }
+      });
+      socket.write(clientFrame(JSON.stringify({ type: "join", room: "r", name: "Ann" })));
+      socket.write(clientFrame(JSON.stringify({ type: "ping", t: 5 })));
+      for (let i = 0; i < 50 && messages.length < 3; i++) await new Promise((r) => setTimeout(r, 20));
+      assert.match(handshake, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+      assert.deepEqual(messages.map((m) => m.type), ["joined", "room", "pong"]);
+      assert.equal(messages[1].room, "R");
+      assert.equal(messages[2].t, 5);
+    } finally {
+      socket.destroy();
+      server.close();
+      server.closeAllConnections?.();
+    }
+  });
+});
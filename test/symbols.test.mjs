@@ -0,0 +1,57 @@
+/**
+ * Symbol set suite (node:test, no extra runner, no dependencies).
+ *
+ *   node --test test/
+ *
+ * symbols.js is a browser script, so it runs in a vm context with its own window.JC.
+ */
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import vm from "node:vm";
+
+const require = createRequire(import.meta.url);
+const { makeRng } = require("../rng.js");
+
+const window = { JC: { makeRng } };
+vm.runInNewContext(readFileSync(new URL("../symbols.js", import.meta.url), "utf8"), { window });
+const { SYMBOL_SETS, formatSymbol, symbolSetFits } = window.JC;
+
+// what endless puts on a cell: each clear renumbers it total higher (main.js showHit)
+function endlessNumbers(total, rounds) {
+  const nums = [];
+  for (let num = 1; num <= total; num++) {
+    for (let k = 0; k <= rounds; k++) nums.push(num + k * total);
+  }
+  return nums;
+}
+
+describe("symbol sets", () => {
+  test("chinese numerals, and plain digits from 1000 on", () => {
+    assert.equal(formatSymbol("chinese", 7), "七");
+    assert.equal(formatSymbol("chinese", 15), "十五");
+    assert.equal(formatSymbol("chinese", 105), "一百零五");
+    assert.equal(formatSymbol("chinese", 999), "九百九十九");
+    assert.equal(formatSymbol("chinese", 1000), "1000");
+  });
+
+  test("endless renumbering past 999 stays readable in every set", () => {
+    const nums = endlessNumbers(300, 4); // up to 1500
+    for (const id of SYMBOL_SETS) {
+      for (const num of nums) {
+        const text = formatSymbol(id, num, "seed");
+        assert.ok(text && !text.includes("undefined") && !text.includes("NaN"), `${id} ${num}: ${text}`);
+      }
+    }
+  });
+
+  test("roman has a board limit and never fits endless", () => {
+    assert.ok(symbolSetFits("roman", 50));
+    assert.ok(!symbolSetFits("roman", 51));
+    assert.ok(!symbolSetFits("roman", 12, true));
+    assert.ok(symbolSetFits("chinese", 300, true));
+    assert.ok(symbolSetFits("digits", 300, true));
+    assert.ok(symbolSetFits("nope", 300, true)); // unknown sets are digits
+  });
+});